@@ -1,6 +1,72 @@
-module.exports = class RefConstraintError extends Error {
+/**
+ * Thrown when a document can't be deleted because other documents reference it
+ * options.modelName is the model of the deleted document, options.modelRef the model of the blocking document,
+ * options.chain the documents deleted on cascade from the first one to the blocked one,
+ * options.blockers every blocking document found
+ */
+class RefConstraintError extends Error {
   constructor(options) {
-    super();
+    const { modelName, modelRef, pathRef, whoIsBlocking, documentId, chain = [] } = options;
+    const [first = { modelName, documentId }, ...cascades] = chain;
+
+    super(
+      `Cannot delete ${first.modelName} ${first.documentId}` +
+        (cascades.length
+          ? ` (on cascade: ${cascades.map((link) => `${link.modelName} ${link.documentId}`).join(' -> ')})`
+          : '') +
+        `: referenced by ${modelRef}.${pathRef} (${whoIsBlocking})`
+    );
+    this.name = 'RefConstraintError';
+    this.code = 'REF_CONSTRAINT';
+    this.options = { blockers: [{ modelRef, pathRef, whoIsBlocking, documentId }], ...options, chain };
+  }
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, ...this.options };
+  }
+}
+
+/**
+ * Thrown when a document references a document that doesn't exist
+ * options.modelName is the referenced model, options.modelRef the model holding the ref
+ */
+class MissingRefError extends Error {
+  constructor(options) {
+    super(
+      `${options.modelRef}.${options.pathRef} references a missing ${options.modelName} (${options.missingId})`
+    );
+    this.name = 'MissingRefError';
+    this.code = 'MISSING_REF';
+    this.options = options;
+  }
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, ...this.options };
+  }
+}
+
+/**
+ * Thrown when a soft deleted document can't be restored because a document it requires is still soft deleted
+ * options.modelName is the model of the soft deleted parent, options.modelRef the model of the restored document
+ */
+class SoftDeletedRefError extends Error {
+  constructor(options) {
+    super(
+      `Cannot restore ${options.modelRef} ${options.documentId}: ` +
+        `${options.modelRef}.${options.pathRef} references the soft deleted ${options.modelName} (${options.deletedId})`
+    );
+    this.name = 'SoftDeletedRefError';
+    this.code = 'SOFT_DELETED_REF';
     this.options = options;
   }
-};
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message, ...this.options };
+  }
+}
+
+// The module exports RefConstraintError itself, the other errors are attached to it
+module.exports = RefConstraintError;
+module.exports.RefConstraintError = RefConstraintError;
+module.exports.MissingRefError = MissingRefError;
+module.exports.SoftDeletedRefError = SoftDeletedRefError;
@@ -0,0 +1,51 @@
+/**
+ * Exporters of the relationships graph (see getGraph): each one takes the graph and returns a string
+ */
+
+/**
+ * @param {Object} graph
+ * @returns {String}
+ */
+function toJSON(graph) {
+  return JSON.stringify(graph, null, 2);
+}
+
+/**
+ * Graphviz DOT: an edge from the model holding the ref to the referenced model
+ * @param {Object} graph
+ * @returns {String}
+ */
+function toDot(graph) {
+  const lines = ['digraph references {'];
+
+  for (const modelName of Object.keys(graph))
+    for (const { modelRef, pathRef, array, action } of graph[modelName])
+      lines.push(
+        `  "${modelRef}" -> "${modelName}" [label="${pathRef}${array ? '[]' : ''} (${action})"` +
+          (action === 'cascade' ? ', style=bold' : '') +
+          '];'
+      );
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Mermaid entity relationship diagram
+ * @param {Object} graph
+ * @returns {String}
+ */
+function toMermaid(graph) {
+  const lines = ['erDiagram'];
+
+  for (const modelName of Object.keys(graph))
+    for (const { modelRef, pathRef, array, action } of graph[modelName]) {
+      // An array of refs can reference many documents, a required ref (block or cascade) exactly one
+      const cardinality = array ? '}o' : ['block', 'cascade'].includes(action) ? '||' : '|o';
+      lines.push(`  ${modelName} ${cardinality}--o{ ${modelRef} : "${pathRef} (${action})"`);
+    }
+
+  return lines.join('\n');
+}
+
+module.exports = { json: toJSON, dot: toDot, mermaid: toMermaid };
@@ -1,22 +1,620 @@
-const mongoose = require.main.require('mongoose');
-const RefConstraintError = require('./error');
+const EventEmitter = require('events');
+const { RefConstraintError, MissingRefError, SoftDeletedRefError } = require('./error');
+const graphExporters = require('./graph');
 
-const refs = {};
+// Events of the integrity actions, for every model
+const events = new EventEmitter();
+
+// Refs declared by each schema given to the plugin
+const schemaRefs = new WeakMap();
+// Relationships of each connection, built from the models of the connection
+const registries = new WeakMap();
+// Refs that a registry couldn't resolve, already reported (see addRegistryRef)
+const unresolvedRefs = new WeakSet();
+// Models deleted on cascade when a referenced model is deleted, keyed by the name given to the plugin
+const cascadeGraph = {};
+// Soft deletable schemas by the name given to the plugin, the ones already compiled into a model (and reported),
+// and the models referenced by refs in 'unset' mode (see addUnsetRefsPath)
+const softDeleteSchemas = {};
+const compiledSchemas = new WeakSet();
+const reportedSchemas = new WeakSet();
+const unsetRefsModels = new Set();
+
+const config = {
+  // Mongoose instance (default: the one required by the main module)
+  mongoose: null,
+  // false: never start a transaction (a session attached by the user is still used)
+  // 'auto': run the checks in a transaction when the server supports it (fallback to non-transactional mode on standalone servers)
+  // 'required': throw if the server doesn't support transactions
+  transactions: false,
+  // Check that the referenced documents exist on save, insertMany and updates
+  validateRefs: false,
+  // Children loaded at once by the cursor of a cascade
+  cascadeBatchSize: 100,
+  // Children deleted in parallel by a cascade (outside of transactions)
+  cascadeConcurrency: 10,
+  // What to do when a schema closes a cycle of cascades: 'warn', 'error' or false
+  cascadeCycles: false,
+  // Report every document blocking a delete, not only the first one
+  collectBlockers: false,
+  // What happens to the not required refs when the parent is soft deleted:
+  // 'keep' them, 'unset' them until the parent is restored, or 'hide' the parent when they are populated
+  softDeleteSetNull: 'keep',
+  // Restoring a document whose required parents are still soft deleted: 'block' it, 'restoreParents' or don't check (false)
+  softDeleteRestore: 'block',
+  // Refs that populate can't resolve: 'log', 'event', 'error', 'repair' them, or don't check (false)
+  danglingRefs: false,
+  // Check that the refs are indexed when a model is compiled: 'warn' about the missing indexes, 'create' them, or don't (false)
+  checkIndexes: false,
+};
+
+// Transaction started by the plugin on a document or a query
+const transactionSymbol = Symbol('mongoose-references-integrity-checker-transaction');
+// Cache of the transactions support of each connection
+const transactionsSupport = new WeakMap();
+// Events waiting for the commit of a transaction started by the plugin, by session
+const pendingEvents = new WeakMap();
+// Documents handled by the delete operation that is deleting a document (set on the documents of a cascade)
+const visitedSymbol = Symbol('mongoose-references-integrity-checker-visited');
+// Documents deleted on cascade before a document (set on the documents of a cascade)
+const chainSymbol = Symbol('mongoose-references-integrity-checker-chain');
+// Query deleting in bulk (see deleteManyWithIntegrity)
+const bulkSymbol = Symbol('mongoose-references-integrity-checker-bulk');
+// Query issued by the plugin on documents already checked (see onDeleteCascade)
+const checkedSymbol = Symbol('mongoose-references-integrity-checker-checked');
+// Models whose indexes are checked at startup (see config.checkIndexes)
+const indexChecks = new WeakSet();
+// Ids of the documents matched by a delete query checked at once, and at most restricting the query
+// (a $in of 100000 ids stays far below the 16MB limit of a BSON document)
+const queryIdsBatchSize = 100000;
+
+/**
+ * @returns {mongoose} the mongoose instance given to configure, else the one of the main module
+ */
+function getMongoose() {
+  return config.mongoose || require.main.require('mongoose');
+}
+
+/**
+ * @param {mongoose.Connection} [connection]
+ * @returns {mongoose.Connection} the connection, or the default one of the mongoose instance
+ */
+function getConnection(connection) {
+  return connection || getMongoose().connection;
+}
+
+/**
+ * Get the name of the referenced model
+ * @param {String | mongoose.Model | Function} ref as declared on the schema: model name, model or function returning one of them
+ * @returns {String | null} null if it can't be resolved yet
+ */
+function getRefModelName(ref) {
+  if (typeof ref === 'string') return ref;
+  if (!ref) return null;
+
+  // Model
+  if (typeof ref.modelName === 'string') return ref.modelName;
+
+  if (typeof ref === 'function') {
+    try {
+      return getRefModelName(ref());
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Search for the refs declared by a schema
+ * @param {mongoose.Schema} schema
+ * @returns {{ ref: String | mongoose.Model | Function, entry: { path: String, schemaType: any, refPath?: String, array: Boolean } }[]}
+ * array is true for arrays of refs and for refs in a document array
+ */
+function getSchemaRefs(schema) {
+  const refs = [];
+
+  // The model holding the ref is set by getRegistry, with its name on the connection
+  function registerRef(ref, entry) {
+    refs.push({ ref, entry });
+  }
+
+  function eachPath(path, schemaType, array = false) {
+    // Options of the items of an array (of arrays) of primitives
+    let itemOptions = schemaType.constructor.name === 'SchemaArray' && schemaType.options.type[0];
+    while (itemOptions instanceof Array) itemOptions = itemOptions[0];
+
+    // Values of a map ('map.$*'): the refs can't be matched inside a document array
+    if (path.split('.').includes('$*')) {
+      if (array) return;
+      array = true;
+    }
+
+    // Array of primitives
+    if (itemOptions && itemOptions.ref) {
+      registerRef(itemOptions.ref, {
+        path: path,
+        schemaType: itemOptions,
+        array: true,
+      });
+    } else if (schemaType.schema) {
+      // Array of complex ( Schema )
+      if (schemaType.constructor.name === 'DocumentArrayPath')
+        schemaType.schema.eachPath((subPath, subSchemaType) =>
+          eachPath(path + '.' + subPath, subSchemaType, true)
+        );
+      // Object
+      else if (schemaType.constructor.name === 'SingleNestedPath')
+        schemaType.schema.eachPath((subPath, subSchemaType) =>
+          eachPath(path + '.' + subPath, subSchemaType, array)
+        );
+    } // Primitive fields or nested object fields
+    else if (schemaType.options.ref)
+      registerRef(schemaType.options.ref, { path, schemaType, array });
+    // Array of dynamic refs
+    else if (itemOptions && itemOptions.refPath)
+      eachRefPathModel(path, itemOptions, itemOptions, true);
+    // Dynamic ref
+    else if (schemaType.options.refPath)
+      eachRefPathModel(path, schemaType, schemaType.options, array);
+  }
+
+  // Register a dynamic ref for every model that its refPath can hold:
+  // the refPathModels option of the ref, or the enum values of the refPath field
+  function eachRefPathModel(path, schemaType, refOptions = schemaType, array = false) {
+    const { refPath, refPathModels } = refOptions;
+    const refPathSchemaType = typeof refPath === 'string' ? schema.path(refPath) : null;
+
+    let modelNames = refPathModels;
+    if (!modelNames && refPathSchemaType) modelNames = refPathSchemaType.enumValues;
+
+    for (const refModel of modelNames || [])
+      registerRef(refModel, { path, schemaType, refPath, array });
+  }
+
+  // Search for refs in schema
+  schema.eachPath((path, schemaType) => eachPath(path, schemaType));
+
+  return refs;
+}
+
+/**
+ * Find a cycle of cascades going through a model, e.g. a self-referencing tree or two models referencing each other
+ * @param {String} modelName
+ * @param {String[]} [path] models visited from modelName
+ * @returns {String[] | null} the models of the cycle (modelName first and last), null if there isn't one
+ */
+function findCascadeCycle(modelName, path = [modelName]) {
+  for (const refModelName of cascadeGraph[path[path.length - 1]] || []) {
+    if (refModelName === modelName) return [...path, modelName];
+    if (path.includes(refModelName)) continue;
+
+    const cycle = findCascadeCycle(modelName, [...path, refModelName]);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/**
+ * Register the cascades of a schema, then warn or throw (see config.cascadeCycles) if they close a cycle
+ * @param {String} modelName
+ * @param {Object[]} refs refs of the schema (see getSchemaRefs)
+ */
+function checkCascadeCycles(modelName, refs) {
+  cascadeGraph[modelName] = refs
+    .filter(({ entry }) => getOnDeleteAction(entry.schemaType) === 'cascade')
+    .map(({ ref }) => getRefModelName(ref))
+    .filter((refModelName) => refModelName);
+
+  if (!config.cascadeCycles) return;
+
+  const cycle = findCascadeCycle(modelName);
+  if (!cycle) return;
+
+  const message = `mongoose-references-integrity-checker: cycle of cascades ${cycle.join(' -> ')}`;
+  if (config.cascadeCycles === 'error') throw new Error(message);
+  process.emitWarning(message);
+}
+
+/**
+ * Get the models usable on a connection: their relationships are the ones applied on the deletes of the connection
+ * @param {mongoose.Connection} connection
+ * @returns {Object<String, mongoose.Model>}
+ */
+function getConnectionModels(connection) {
+  // connection.model() falls back on the models of the mongoose instance, compiling them on the connection
+  // when they're first used (e.g. on the connections of useDb)
+  return { ...connection.base.models, ...connection.models };
+}
+
+/**
+ * Get the models compiled on a connection: the ones inspected by findOrphans, checkIndexes and watch
+ * @param {mongoose.Connection} connection
+ * @returns {Object<String, mongoose.Model>}
+ */
+function getCompiledModels(connection) {
+  return connection.models;
+}
+
+/**
+ * Find a model by name, like connection.model() does but without compiling it on the connection
+ * @param {mongoose.Connection} connection
+ * @param {String} modelName
+ * @returns {mongoose.Model | undefined}
+ */
+function getConnectionModel(connection, modelName) {
+  return connection.models[modelName] || connection.base.models[modelName];
+}
+
+/**
+ * Get the refs declared by the schema of a model.
+ * The schema of a discriminator is inspected if its base model uses the plugin: only the refs added by the discriminator
+ * are returned, the inherited ones belong to the base model (its queries match the documents of the discriminators too).
+ * @param {mongoose.Model} model
+ * @param {Object<String, mongoose.Model>} models models of the connection
+ * @returns {Object[]} see getSchemaRefs
+ */
+function getModelRefs(model, models) {
+  const baseModel = model.baseModelName && models[model.baseModelName];
+
+  if (baseModel && schemaRefs.has(baseModel.schema)) {
+    const basePaths = schemaRefs.get(baseModel.schema).map(({ entry }) => entry.path);
+    return getSchemaRefs(model.schema).filter(({ entry }) => !basePaths.includes(entry.path));
+  }
+
+  return schemaRefs.get(model.schema) || [];
+}
+
+/**
+ * Get the relationships between the models of a connection, keyed by referenced model.
+ * The registry is built again when models are added to the connection.
+ * @param {mongoose.Connection} connection
+ * @returns {Object<String, { modelName: String, path: String, schemaType: any, refPath?: String }[]>} modelName is the model holding the ref
+ */
+function getRegistry(connection) {
+  const models = getConnectionModels(connection);
+  const modelList = Object.values(models);
+  let registry = registries.get(connection);
+
+  if (
+    !registry ||
+    registry.models.length !== modelList.length ||
+    registry.models.some((model, i) => model !== modelList[i])
+  ) {
+    registry = { models: modelList, refs: {}, unresolved: [] };
+
+    for (const modelRef of Object.keys(models))
+      for (const { ref, entry } of getModelRefs(models[modelRef], models))
+        registry.unresolved.push({ ref, entry: { ...entry, modelName: modelRef } });
+
+    registries.set(connection, registry);
+  }
+
+  // Only the refs not resolved yet are tried again (e.g. a function returning a model defined later)
+  if (registry.unresolved.length)
+    registry.unresolved = registry.unresolved.filter(
+      ({ ref, entry }) => !addRegistryRef(registry.refs, ref, entry)
+    );
+
+  return registry.refs;
+}
+
+/**
+ * Add a relationship to the registry of a connection
+ * @param {Object} refs see getRegistry
+ * @param {String | mongoose.Model | Function} ref as declared on the schema
+ * @param {{ modelName: String, path: String, schemaType: any, refPath?: String }} entry
+ * @returns {Boolean} false if the ref can't be resolved
+ */
+function addRegistryRef(refs, ref, entry) {
+  const refModelName = getRefModelName(ref);
+
+  if (!refModelName) {
+    // Reported once: e.g. a function depending on the document (this) can't be resolved without it
+    if (!unresolvedRefs.has(entry.schemaType)) {
+      unresolvedRefs.add(entry.schemaType);
+      process.emitWarning(
+        `mongoose-references-integrity-checker: the ref of ${entry.modelName}.${entry.path} can't be resolved, it isn't checked until it can be`
+      );
+    }
+    return false;
+  }
+
+  // Every path to the referenced model is kept, once
+  const entries = refs[refModelName] || (refs[refModelName] = []);
+  if (
+    !entries.some(
+      (other) =>
+        other.modelName === entry.modelName &&
+        other.path === entry.path &&
+        other.refPath === entry.refPath
+    )
+  )
+    entries.push(entry);
+
+  return true;
+}
+
+/**
+ * Get the relationships pointing to a model, and to its base model if it's a discriminator
+ * @param {String} modelName referenced model
+ * @param {mongoose.Connection} connection
+ * @returns {{ modelName: String, path: String, schemaType: any, refPath?: String }[]}
+ */
+function getRefs(modelName, connection) {
+  const registry = getRegistry(connection);
+  const model = getConnectionModel(connection, modelName);
+  const baseModelName = model && model.baseModelName;
+
+  return [...(registry[modelName] || []), ...((baseModelName && registry[baseModelName]) || [])];
+}
+
+/**
+ * Check if the documents of a model can be referenced, as documents of the model or of its discriminators
+ * @param {String} modelName
+ * @param {mongoose.Connection} connection
+ * @returns {Boolean}
+ */
+function isReferenced(modelName, connection) {
+  const model = getConnectionModel(connection, modelName);
+  const discriminatorNames = Object.keys((model && model.discriminators) || {});
+
+  return [modelName, ...discriminatorNames].some((name) => getRefs(name, connection).length);
+}
+
+/**
+ * @param {mongoose.Model} model
+ * @returns {Object} condition matching only the documents of the model, if it's a discriminator
+ */
+function getDiscriminatorCondition(model) {
+  const mapping = model.schema.discriminatorMapping;
+  return mapping && !mapping.isRoot ? { [mapping.key]: mapping.value } : {};
+}
+
+/**
+ * @param {mongoose.Model} model
+ * @param {Object} doc plain document, with the discriminator key
+ * @returns {String} name of the discriminator of the document, or of the model
+ */
+function getDocumentModelName(model, doc) {
+  const value = doc[model.schema.options.discriminatorKey];
+  const discriminator = Object.values(model.discriminators || {}).find(
+    (discriminator) => discriminator.schema.discriminatorMapping.value === value
+  );
+
+  return discriminator ? discriminator.modelName : model.modelName;
+}
+
+/**
+ * Count the leading parts shared by the path of a dynamic ref and its refPath (the last part of the path excluded)
+ * e.g. 'targets.item' and 'targets.kind' share 'targets'
+ * @param {String[]} path
+ * @param {String[]} refPath
+ * @returns {Number}
+ */
+function getRefPathCommonLength(path, refPath) {
+  let length = 0;
+
+  while (
+    length < path.length - 1 &&
+    length < refPath.length - 1 &&
+    path[length] === refPath[length]
+  )
+    length++;
+
+  return length;
+}
+
+/**
+ * Count the arrays holding a ref: 1 for an array of refs, 2 for an array of arrays of refs...
+ * @param {any} schemaType schemaType of the ref path
+ * @returns {Number}
+ */
+function getArrayDepth(schemaType) {
+  let depth = 0;
+  for (let type = schemaType; type && type.constructor.name === 'SchemaArray'; type = type.caster)
+    depth++;
+
+  return depth;
+}
+
+/**
+ * Get the path of the map holding a ref ('tags' for 'tags.$*'), null if the ref isn't in a map
+ * @param {String} pathRef
+ * @returns {String | null}
+ */
+function getMapPath(pathRef) {
+  const path = pathRef.split('.');
+  const mapIndex = path.indexOf('$*');
+
+  return mapIndex === -1 ? null : path.slice(0, mapIndex).join('.');
+}
+
+/**
+ * Get the path to select for reading a ref (maps are selected whole)
+ * @param {String} pathRef
+ * @returns {String}
+ */
+function getSelectPath(pathRef) {
+  return getMapPath(pathRef) || pathRef;
+}
+
+/**
+ * Match a single ref or any ref of a set, inside the inner arrays of an array of arrays
+ * @param {any | any[]} referencedId
+ * @param {Number} depth see getArrayDepth
+ */
+function getNestedArrayCondition(referencedId, depth) {
+  if (depth < 2) return referencedId instanceof Array ? { $in: referencedId } : referencedId;
+
+  let condition = { $in: [].concat(referencedId) };
+  for (let i = 0; i < depth; i++) condition = { $elemMatch: condition };
+
+  return condition;
+}
+
+/**
+ * Cast the ids compared in an aggregation expression (mongoose doesn't cast them)
+ * @param {any} schemaType schemaType of the map values
+ * @param {any | any[]} referencedId
+ * @returns {any[]}
+ */
+function castMapIds(schemaType, referencedId) {
+  const caster = schemaType.caster || schemaType;
+  return [].concat(referencedId).map((id) => caster.cast(id));
+}
+
+/**
+ * Aggregation expression matching the entries of a map holding the referenced ids
+ * @param {mongoose.Model} model model holding the ref
+ * @param {String} pathRef path of the map values, e.g. 'tags.$*'
+ * @param {any | any[]} referencedId
+ */
+function getMapEntriesExpression(model, pathRef, referencedId) {
+  const schemaType = model.schema.path(pathRef);
+  const ids = castMapIds(schemaType, referencedId);
+
+  return {
+    $filter: {
+      input: { $objectToArray: { $ifNull: [`$${getMapPath(pathRef)}`, {}] } },
+      // Map of arrays of refs, or map of refs
+      cond: getArrayDepth(schemaType)
+        ? { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$$this.v', []] }, ids] } }, 0] }
+        : { $in: ['$$this.v', ids] },
+    },
+  };
+}
+
+/**
+ * Condition matching the documents holding the referenced ids at pathRef
+ * @param {mongoose.Model} model model holding the ref
+ * @param {String} pathRef
+ * @param {any | any[]} referencedId
+ */
+function getRefCondition(model, pathRef, referencedId) {
+  // Map of refs: the keys are unknown, look for the ids in its values
+  if (getMapPath(pathRef))
+    return {
+      $expr: { $gt: [{ $size: getMapEntriesExpression(model, pathRef, referencedId) }, 0] },
+    };
+
+  const depth = getArrayDepth(model.schema.path(pathRef));
+  return { [pathRef]: getNestedArrayCondition(referencedId, depth) };
+}
+
+/**
+ * @param {mongoose.Model} model model holding the ref
+ * @param {String} pathRef
+ * @param {any | any[]} referencedId
+ * @param {Object} [dynamicRef] for refs declared with refPath, match only the documents pointing to modelName
+ * @param {String} [dynamicRef.modelName]
+ * @param {String} [dynamicRef.refPath]
+ */
+function getFindQueryObjectFor(model, pathRef, referencedId, { modelName, refPath } = {}) {
+  const referencedIdCondition =
+    referencedId instanceof Array ? { $in: referencedId } : referencedId;
+  // The model holding the ref could be a discriminator
+  const discriminatorCondition = getDiscriminatorCondition(model);
+
+  if (typeof refPath !== 'string')
+    return { ...discriminatorCondition, ...getRefCondition(model, pathRef, referencedId) };
+
+  const path = pathRef.split('.');
+  const refPathParts = refPath.split('.');
+  const commonLength = getRefPathCommonLength(path, refPathParts);
+  const commonPath = path.slice(0, commonLength).join('.');
+  const commonSchemaType = commonLength && model.schema.path(commonPath);
+
+  // The ref and its refPath are in the same item of a document array
+  if (commonSchemaType && commonSchemaType.constructor.name === 'DocumentArrayPath')
+    return {
+      ...discriminatorCondition,
+      [commonPath]: {
+        $elemMatch: {
+          [path.slice(commonLength).join('.')]: referencedIdCondition,
+          [refPathParts.slice(commonLength).join('.')]: modelName,
+        },
+      },
+    };
+
+  return { ...discriminatorCondition, [pathRef]: referencedIdCondition, [refPath]: modelName };
+}
+
+/**
+ * Aggregation expression rewriting a map without the referenced ids:
+ * the entries are removed (or their ref pulled from the array), or replaced by value
+ * @param {mongoose.Model} model model holding the ref
+ * @param {String} pathRef path of the map values, e.g. 'tags.$*'
+ * @param {any | any[]} referencedId
+ * @param {any} value
+ */
+function getMapUpdateExpression(model, pathRef, referencedId, value) {
+  const schemaType = model.schema.path(pathRef);
+  const ids = castMapIds(schemaType, referencedId);
+  const replacement = { $literal: value === null ? null : castMapIds(schemaType, value)[0] };
+  const entries = { $objectToArray: `$${getMapPath(pathRef)}` };
+
+  // Map of arrays of refs
+  if (getArrayDepth(schemaType)) {
+    const items = { $ifNull: ['$$this.v', []] };
+    const isReferencedItem = { $in: ['$$id', ids] };
+    const replacedItem = { $cond: [isReferencedItem, replacement, '$$id'] };
+    const v =
+      value === null
+        ? { $filter: { input: items, as: 'id', cond: { $not: [isReferencedItem] } } }
+        : { $map: { input: items, as: 'id', in: replacedItem } };
+
+    return { $arrayToObject: { $map: { input: entries, in: { k: '$$this.k', v } } } };
+  }
+
+  const isReferenced = { $in: ['$$this.v', ids] };
+  if (value === null)
+    return { $arrayToObject: { $filter: { input: entries, cond: { $not: [isReferenced] } } } };
 
-function getFindQueryObjectFor(modelRef, pathRef, referencedId) {
   return {
-    [pathRef]: referencedId,
+    $arrayToObject: {
+      $map: {
+        input: entries,
+        in: { k: '$$this.k', v: { $cond: [isReferenced, replacement, '$$this.v'] } },
+      },
+    },
   };
 }
 
-function getUpdateQueryObjectFor(modelRef, pathRef, referencedId) {
+/**
+ * @param {mongoose.Model} model model holding the ref
+ * @param {String} pathRef
+ * @param {any | any[]} referencedId
+ * @param {Object} [options]
+ * @param {String} [options.modelName] see getFindQueryObjectFor
+ * @param {String} [options.refPath] see getFindQueryObjectFor
+ * @param {any} [options.value] value replacing the ref (null pulls it from an array of refs)
+ */
+function getUpdateQueryObjectFor(
+  model,
+  pathRef,
+  referencedId,
+  { modelName, refPath, value = null } = {}
+) {
   const path = pathRef instanceof Array ? pathRef : pathRef.split('.');
-  const model = mongoose.model(modelRef);
-  const fieldRefSchemaType = model.schema.path(pathRef);
+  const fieldRefSchemaType = model.schema.path(path.join('.'));
+  const mapPath = getMapPath(path.join('.'));
   const result = [];
   const info = [];
   let lastDocumentArray = null;
 
+  // Map of refs: rewrite the map with an update pipeline, its keys are unknown
+  if (mapPath)
+    return [
+      [{ $set: { [mapPath]: getMapUpdateExpression(model, path.join('.'), referencedId, value) } }],
+    ];
+
+  // Match a single ref or any ref of a set
+  const referencedIdCondition =
+    referencedId instanceof Array ? { $in: referencedId } : referencedId;
+
   // Build info for updating
   for (let i = 0; i < path.length - 1; i++) {
     const absolutePath = path.filter((_, i2) => i2 <= i);
@@ -49,160 +647,1956 @@ function getUpdateQueryObjectFor(modelRef, pathRef, referencedId) {
   arrayFilterConditionPath += path[path.length - 1];
 
   // fieldRefSchemaType is the last schemaType of the path
-  // If it is array of refs then use pull else set (remove from the array the ref or set null the ref)
-  const operator = fieldRefSchemaType.constructor.name === 'SchemaArray' ? '$pull' : '$set';
+  const isArrayOfRefs = fieldRefSchemaType.constructor.name === 'SchemaArray';
+  const depth = getArrayDepth(fieldRefSchemaType);
+
+  // Array of arrays of refs: update every inner array
+  for (let i = 1; i < depth; i++) updatePath += '.$[]';
+  const arrayFilters = [];
 
   // Update
-  result.push({
-    [operator]: {
-      [updatePath]: operator === '$pull' ? referencedId : null,
-    },
-  });
+  if (isArrayOfRefs && value === null)
+    // Array of refs: remove the ref from the array
+    result.push({ $pull: { [updatePath]: referencedIdCondition } });
+  else if (isArrayOfRefs) {
+    // Array of refs: replace the ref in the array
+    result.push({ $set: { [`${updatePath}.$[r]`]: value } });
+    arrayFilters.push({ r: referencedIdCondition });
+  }
+  // Set null (or the value) the ref
+  else result.push({ $set: { [updatePath]: value } });
 
   // Update options
   // If we have found at the least one document array
-  if (lastDocumentArray !== null)
-    result.push({
-      arrayFilters: [{ [`j.${arrayFilterConditionPath}`]: referencedId }],
-    });
+  if (lastDocumentArray !== null) {
+    const arrayFilter = {
+      [`j.${arrayFilterConditionPath}`]: getNestedArrayCondition(referencedId, depth),
+    };
+
+    // Dynamic ref with the refPath in the same item: update only the items pointing to modelName
+    if (typeof refPath === 'string') {
+      const refPathParts = refPath.split('.');
+      if (getRefPathCommonLength(path, refPathParts) === lastDocumentArray + 1)
+        arrayFilter[`j.${refPathParts.slice(lastDocumentArray + 1).join('.')}`] = modelName;
+    }
+
+    arrayFilters.push(arrayFilter);
+  }
+
+  if (arrayFilters.length) result.push({ arrayFilters });
 
   return result;
 }
 
-function plugin(modelName, schema) {
-  if (!refs[modelName]) refs[modelName] = [];
+/**
+ * Mark a document as handled by a delete operation
+ * @param {Object<String, Map>} visited documents handled by the operation, keyed by collection
+ * @param {mongoose.Model} model
+ * @param {any} documentId
+ * @returns {Boolean} false if the document was already handled
+ */
+function visit(visited, model, documentId) {
+  const collectionName = model.collection.name;
+  if (!visited[collectionName]) visited[collectionName] = new Map();
 
-  function eachPath(path, schemaType) {
-    // Array of primitives
-    if (schemaType.constructor.name === 'SchemaArray' && schemaType.options.type[0].ref) {
-      refs[schemaType.options.type[0].ref] = [
-        ...(refs[schemaType.options.ref] || []),
-        { modelName, path: path, schemaType: schemaType.options.type[0] },
-      ];
-    } else if (schemaType.schema) {
-      // Array of complex ( Schema )
-      if (schemaType.constructor.name === 'DocumentArrayPath')
-        schemaType.schema.eachPath((subPath, subSchemaType) =>
-          eachPath(path + '.' + subPath, subSchemaType)
-        );
-      // Object
-      else if (schemaType.constructor.name === 'SingleNestedPath')
-        schemaType.schema.eachPath((subPath, subSchemaType) =>
-          eachPath(path + '.' + subPath, subSchemaType)
-        );
-    } // Primitive fields or nested object fields
-    else if (schemaType.options.ref)
-      refs[schemaType.options.ref] = [
-        ...(refs[schemaType.options.ref] || []),
-        { modelName, path, schemaType },
-      ];
+  if (visited[collectionName].has(String(documentId))) return false;
+  visited[collectionName].set(String(documentId), documentId);
+  return true;
+}
+
+/**
+ * @param {Object<String, Map>} visited see visit
+ * @param {mongoose.Model} model
+ * @returns {any[]} ids of the documents of the model handled by a delete operation
+ */
+function getVisitedIds(visited, model) {
+  return [...(visited[model.collection.name] || new Map()).values()];
+}
+
+/**
+ * Get what happens to the documents holding the ref when the referenced document is deleted
+ * @param {any} schemaType schemaType (or options of the array items) of the ref
+ * @returns {'cascade' | 'block' | 'setNull' | 'setDefault' | 'custom'}
+ */
+function getOnDeleteAction(schemaType) {
+  // Explicit policy, like the foreign keys of SQL
+  const onDelete = getOnDeleteOption(schemaType);
+
+  if (typeof onDelete === 'function') return 'custom';
+  if (onDelete) {
+    const action = {
+      cascade: 'cascade',
+      restrict: 'block',
+      setNull: 'setNull',
+      setDefault: 'setDefault',
+      // Like SQL, the delete is rejected (the check can't be deferred, so it's the same as restrict)
+      noAction: 'block',
+    }[onDelete];
+
+    if (!action)
+      throw new Error(`mongoose-references-integrity-checker: unknown onDelete policy '${onDelete}'`);
+    return action;
   }
 
-  // Search for refs in schema
-  schema.eachPath((path, schemaType) => eachPath(path, schemaType));
+  // On a SchemaType instance, required is the method for setting it
+  const required =
+    typeof schemaType.required === 'function' ? schemaType.isRequired : schemaType.required;
 
-  async function onDeleteSetNull(
-    modelRef,
-    pathRef,
-    documentId,
-    { softDelete = false, _deleted } = {}
-  ) {
-    if (!softDelete)
-      await mongoose
-        .model(modelRef)
-        .updateMany(
-          getFindQueryObjectFor(modelRef, pathRef, documentId),
-          ...getUpdateQueryObjectFor(modelRef, pathRef, documentId)
-        )
-        .exec();
+  if (required) {
+    // This reference is required
+    if (schemaType.cascade || (schemaType.options && schemaType.options.cascade)) return 'cascade';
+    return 'block';
   }
 
-  async function onDeleteCascade(
-    modelRef,
-    pathRef,
-    documentId,
-    { softDelete = false, _deleted } = {}
-  ) {
-    const queryObject = getFindQueryObjectFor(modelRef, pathRef, documentId);
+  return 'setNull';
+}
+
+/**
+ * @param {any} schemaType schemaType (or options of the array items) of the ref
+ * @returns {String | Function | undefined} the onDelete option of the ref
+ */
+function getOnDeleteOption(schemaType) {
+  if (schemaType.onDelete !== undefined) return schemaType.onDelete;
+  return schemaType.options && schemaType.options.onDelete;
+}
+
+/**
+ * @param {any} schemaType schemaType (or options of the array items) of the ref
+ * @returns {any} the default value of the ref, null if it hasn't one
+ */
+function getDefaultValue(schemaType) {
+  // On a SchemaType instance, default is the method for setting it
+  const defaultValue =
+    typeof schemaType.getDefault === 'function' ? schemaType.defaultValue : schemaType.default;
+
+  if (typeof defaultValue === 'function') return defaultValue();
+  return defaultValue === undefined ? null : defaultValue;
+}
+
+/**
+ * @param {mongoose.Connection} connection
+ * @param {String} modelName model of the deleted documents
+ * @param {String[]} eventNames
+ * @returns {Boolean} true if someone listens to one of the events, on the plugin or on the model
+ */
+function hasListeners(connection, modelName, eventNames) {
+  const model = connection.model(modelName);
+  return eventNames.some(
+    (eventName) => events.listenerCount(eventName) || model.events.listenerCount(eventName)
+  );
+}
+
+/**
+ * Emit an event on the plugin and on the model of the deleted documents
+ * @param {mongoose.Connection} connection
+ * @param {String} eventName
+ * @param {{ modelName: String, documentIds: any[], modelRef: String, pathRef: String, childIds: any[], softDelete: Boolean }} payload
+ * @param {mongoose.ClientSession} [session] session of the action: in a transaction started by the plugin,
+ * the event is emitted once it's committed
+ */
+function emit(connection, eventName, payload, session) {
+  const pending = session && pendingEvents.get(session);
+  if (pending) return pending.push(() => emit(connection, eventName, payload));
+
+  events.emit(eventName, payload);
+  connection.model(payload.modelName).events.emit(eventName, payload);
+}
+
+/**
+ * Run a handler on the children it's going to touch. If someone listens to its events, the ids of the children are
+ * streamed and the handler runs on each batch of them (the query object restricted to the batch), else it runs once.
+ * @param {mongoose.Model} model model of the children
+ * @param {Object} queryObject
+ * @param {Object} options
+ * @param {mongoose.Connection} options.connection
+ * @param {String} options.modelName model of the deleted documents
+ * @param {String[]} options.eventNames
+ * @param {mongoose.ClientSession} [options.session]
+ * @param {(queryObject: Object, childIds: any[] | null) => Promise<void>} handler childIds is null if nobody listens
+ */
+async function eachAuditedBatch(
+  model,
+  queryObject,
+  { connection, modelName, eventNames, session },
+  handler
+) {
+  if (!hasListeners(connection, modelName, eventNames)) return handler(queryObject, null);
+
+  let childIds = [];
+  const flush = async () => {
+    const batchIds = childIds;
+    childIds = [];
+    await handler({ ...queryObject, _id: { $in: batchIds } }, batchIds);
+  };
+
+  await model
+    .find(queryObject)
+    .select('_id')
+    .session(session)
+    .lean()
+    .cursor()
+    .eachAsync(async ({ _id }) => {
+      childIds.push(_id);
+      if (childIds.length >= queryIdsBatchSize) await flush();
+    });
+
+  if (childIds.length) await flush();
+}
+
+/**
+ * @param {any} schemaType schemaType (or options of the array items) of the ref
+ * @returns {'keep' | 'unset' | 'hide'} what happens to the ref when the referenced document is soft deleted
+ */
+function getSoftDeleteSetNullMode(schemaType) {
+  if (schemaType.softDeleteSetNull !== undefined) return schemaType.softDeleteSetNull;
+  if (schemaType.options && schemaType.options.softDeleteSetNull !== undefined)
+    return schemaType.options.softDeleteSetNull;
+  return config.softDeleteSetNull;
+}
+
+/**
+ * Get the paths, with the array indexes, at which an object holds an id
+ * e.g. 'house', 'houses.1' or 'rooms.0.house'
+ * @param {any} value
+ * @param {String[]} path
+ * @param {any} id
+ * @param {(String | Number)[]} [prefix]
+ * @returns {String[]}
+ */
+function getIdPaths(value, path, id, prefix = []) {
+  if (value === null || value === undefined) return [];
+
+  // Array of refs or document array
+  if (value instanceof Array)
+    return [].concat(...value.map((item, i) => getIdPaths(item, path, id, [...prefix, i])));
 
-    const documents = await mongoose.model(modelRef).find(queryObject).exec();
+  if (!path.length) return String(value) === String(id) ? [prefix.join('.')] : [];
 
-    if (softDelete)
-      // We need to use the softDelete function to trigger again the hooks for checking references
-      await Promise.all(documents.map((doc) => doc.softDelete(_deleted)));
-    // We need to use the deleteOne function to trigger again the hooks for checking references
-    else await Promise.all(documents.map((doc) => doc.deleteOne()));
+  // Values of a map, by key
+  if (path[0] === '$*')
+    return [].concat(
+      ...(value instanceof Map ? [...value.entries()] : Object.entries(value)).map(([key, item]) =>
+        getIdPaths(item, path.slice(1), id, [...prefix, key])
+      )
+    );
+
+  return getIdPaths(value[path[0]], path.slice(1), id, [...prefix, path[0]]);
+}
+
+/**
+ * @param {String[]} paths
+ * @param {any} value
+ * @returns {Object} the value at each path, e.g. { house: null, 'houses.1': null }
+ */
+function getPathsObject(paths, value) {
+  return paths.reduce((object, path) => ({ ...object, [path]: value }), {});
+}
+
+/**
+ * Add the path remembering the refs unset on soft delete ('unset' mode) to a soft deletable schema.
+ * Paths can't be added once the model is compiled: then the refs are kept on soft delete, and a warning is emitted.
+ * @param {mongoose.Schema} schema
+ * @param {String} modelName
+ */
+function addUnsetRefsPath(schema, modelName) {
+  if (schema.path('_unsetRefs')) return;
+
+  if (compiledSchemas.has(schema)) {
+    if (reportedSchemas.has(schema)) return;
+    reportedSchemas.add(schema);
+
+    process.emitWarning(
+      `mongoose-references-integrity-checker: ${modelName} is already compiled, so it can't remember ` +
+        `the refs unset on soft delete: they're kept. Register the schemas referencing it in 'unset' mode ` +
+        `(and configure softDeleteSetNull) before compiling it`
+    );
+    return;
   }
 
-  async function onDeleteBlock(
-    modelRef,
-    pathRef,
-    documentId,
-    { softDelete = false, _deleted } = {}
-  ) {
-    if (!softDelete || _deleted) {
-      const queryObject = getFindQueryObjectFor(modelRef, pathRef, documentId);
-      let constrainedDoc = null;
+  schema.add({
+    _unsetRefs: {
+      type: [
+        {
+          _id: false,
+          modelRef: String,
+          pathRef: String,
+          childId: schema.constructor.Types.Mixed,
+          paths: [String],
+        },
+      ],
+      default: undefined,
+    },
+  });
+}
+
+/**
+ * Add the path of the unset refs to the models referenced in 'unset' mode by the refs of a schema,
+ * and to the ones registered later
+ * @param {String} modelName
+ * @param {Object[]} refs see getSchemaRefs
+ */
+function registerUnsetRefs(modelName, refs) {
+  for (const { ref, entry } of refs) {
+    if (getSoftDeleteSetNullMode(entry.schemaType) !== 'unset') continue;
+
+    const refModelName = getRefModelName(ref);
+    if (!refModelName) {
+      process.emitWarning(
+        `mongoose-references-integrity-checker: the ref of ${modelName}.${entry.path} in 'unset' mode ` +
+          `can't be resolved when registered, so it's kept on soft delete`
+      );
+      continue;
+    }
+
+    unsetRefsModels.add(refModelName);
+    for (const schema of softDeleteSchemas[refModelName] || [])
+      addUnsetRefsPath(schema, refModelName);
+  }
+}
+
+/**
+ * Soft delete in 'unset' mode: unset the refs of the children and remember where they were on the parent,
+ * restoring the parent links them again (only where the refs are still unset)
+ * @param {mongoose.Document} document soft deleted (or restored) parent
+ */
+async function onSoftDeleteSetNull(
+  modelName,
+  modelRef,
+  pathRef,
+  document,
+  { _deleted, session, refPath, connection } = {}
+) {
+  const model = connection.model(modelRef);
+  const documentId = document._id;
+
+  // The parent can't remember the unset refs (see addUnsetRefsPath): they're kept
+  if (!document.schema.path('_unsetRefs')) return;
+
+  if (_deleted) {
+    const children = await model
+      .find(getFindQueryObjectFor(model, pathRef, documentId, { modelName, refPath }))
+      .select(getSelectPath(pathRef))
+      .session(session)
+      .lean()
+      .exec();
+    const unsetRefs = [];
+
+    for (const child of children) {
+      const paths = getIdPaths(child, pathRef.split('.'), documentId);
+      if (!paths.length) continue;
+
+      const update = { $set: getPathsObject(paths, null) };
+      await model.updateOne({ _id: child._id }, update).session(session).exec();
+      unsetRefs.push({ modelRef, pathRef, childId: child._id, paths });
+    }
 
-      if ((constrainedDoc = await mongoose.model(modelRef).findOne(queryObject).exec()))
-        // Cannot remove if exists at least one referencing this document
-        throw new RefConstraintError({
+    if (unsetRefs.length) {
+      document.set('_unsetRefs', [...(document.get('_unsetRefs') || []), ...unsetRefs]);
+      emit(
+        connection,
+        'afterSetNull',
+        {
           modelName,
+          documentIds: [documentId],
           modelRef,
           pathRef,
-          whoIsBlocking: constrainedDoc._id,
-        });
+          childIds: unsetRefs.map(({ childId }) => childId),
+          softDelete: true,
+        },
+        session
+      );
     }
-  }
+  } else {
+    const unsetRefs = (document.get('_unsetRefs') || []).filter(
+      (unsetRef) => unsetRef.modelRef === modelRef && unsetRef.pathRef === pathRef
+    );
 
-  async function onDelete(documentId, softDeleteOptions) {
-    for (let { modelName: modelRef, path, schemaType } of refs[modelName]) {
-      if (schemaType.required) {
-        // This reference is required
-        if (schemaType.cascade || (schemaType.options && schemaType.options.cascade))
-          // Delete references on cascade
-          await onDeleteCascade(modelRef, path, documentId, softDeleteOptions);
-        // Block delete if references exist
-        else await onDeleteBlock(modelRef, path, documentId, softDeleteOptions);
-      }
-      // Not required, we can simply set null the reference
-      else await onDeleteSetNull(modelRef, path, documentId, softDeleteOptions);
+    for (const { childId, paths } of unsetRefs)
+      await model
+        .updateOne(
+          { _id: childId, ...getPathsObject(paths, null) },
+          { $set: getPathsObject(paths, documentId) }
+        )
+        .session(session)
+        .exec();
+
+    if (unsetRefs.length) {
+      const remainingRefs = document
+        .get('_unsetRefs')
+        .filter((unsetRef) => !unsetRefs.includes(unsetRef));
+      document.set('_unsetRefs', remainingRefs.length ? remainingRefs : undefined);
     }
   }
+}
+
+/**
+ * Soft delete in 'hide' mode: don't populate the soft deleted documents on the refs
+ * @param {mongoose.Query} query find query on the model holding the refs
+ */
+function hideSoftDeletedRefs(query) {
+  const populate = query._mongooseOptions.populate;
+  if (!populate) return;
+
+  for (const { path, schemaType } of getRefsOf(query.model.modelName, query.model.db)) {
+    if (
+      !populate[path] ||
+      getOnDeleteAction(schemaType) !== 'setNull' ||
+      getSoftDeleteSetNullMode(schemaType) !== 'hide'
+    )
+      continue;
+
+    const { match } = populate[path];
+    populate[path].match =
+      typeof match === 'function'
+        ? function (...args) {
+            return { ...match.apply(this, args), _deleted: { $ne: true } };
+          }
+        : { ...match, _deleted: { $ne: true } };
+  }
+}
 
-  // Before remove, check if the removing is possible
-  schema.pre('remove', async function () {
-    const _id = this._id || this._conditions._id;
-    if (_id) await onDelete(_id);
-  });
+async function onDeleteSetNull(
+  modelName,
+  modelRef,
+  pathRef,
+  documentIds,
+  { softDelete = false, _deleted, session, refPath, schemaType, connection, document } = {}
+) {
+  if (softDelete && document && getSoftDeleteSetNullMode(schemaType) === 'unset')
+    await onSoftDeleteSetNull(modelName, modelRef, pathRef, document, {
+      _deleted,
+      session,
+      refPath,
+      connection,
+    });
 
-  // Before deleteOne, check if the removing is possible
-  schema.pre('deleteOne', async function () {
-    const _id = this._id || this._conditions._id;
-    if (_id) await onDelete(_id);
-  });
+  if (!softDelete) {
+    const model = connection.model(modelRef);
+    const queryObject = getFindQueryObjectFor(model, pathRef, documentIds, { modelName, refPath });
+    const [update, updateOptions] = getUpdateQueryObjectFor(model, pathRef, documentIds, {
+      modelName,
+      refPath,
+    });
+    const audit = { connection, modelName, eventNames: ['afterSetNull'], session };
+    const payload = {
+      modelName,
+      documentIds: [].concat(documentIds),
+      modelRef,
+      pathRef,
+      softDelete,
+    };
 
-  schema.plugin((schema) => {
-    // If soft deleting is available
-    if (schema.statics.preSoftDelete)
-      schema.statics.preSoftDelete(async (document) => {
-        try {
-          await onDelete(document._id, { softDelete: true, _deleted: document._deleted });
-        } catch (e) {
-          // Deleting was blocked
-          if (e instanceof RefConstraintError)
-            // Rollback then
-            document._deleted = false;
-          throw e;
-        }
-      });
-  });
+    await eachAuditedBatch(model, queryObject, audit, async (batchQueryObject, childIds) => {
+      await model
+        .updateMany(batchQueryObject, update, {
+          ...updateOptions,
+          session,
+        })
+        .exec();
+
+      if (childIds) emit(connection, 'afterSetNull', { ...payload, childIds }, session);
+    });
+  }
 }
 
-plugin.consistentModel = function (modelName, schema) {
-  plugin(modelName, schema);
-  return mongoose.model(modelName, schema);
-};
+async function onDeleteSetDefault(
+  modelName,
+  modelRef,
+  pathRef,
+  documentIds,
+  { softDelete = false, _deleted, session, refPath, schemaType, connection } = {}
+) {
+  if (!softDelete) {
+    const model = connection.model(modelRef);
+    const queryObject = getFindQueryObjectFor(model, pathRef, documentIds, { modelName, refPath });
+    const [update, updateOptions] = getUpdateQueryObjectFor(model, pathRef, documentIds, {
+      modelName,
+      refPath,
+      value: getDefaultValue(schemaType),
+    });
+    const audit = { connection, modelName, eventNames: ['afterSetDefault'], session };
+    const payload = {
+      modelName,
+      documentIds: [].concat(documentIds),
+      modelRef,
+      pathRef,
+      softDelete,
+    };
+
+    await eachAuditedBatch(model, queryObject, audit, async (batchQueryObject, childIds) => {
+      await model
+        .updateMany(batchQueryObject, update, {
+          ...updateOptions,
+          session,
+        })
+        .exec();
+
+      if (childIds) emit(connection, 'afterSetDefault', { ...payload, childIds }, session);
+    });
+  }
+}
+
+async function onDeleteCustom(
+  modelName,
+  modelRef,
+  pathRef,
+  documentIds,
+  { softDelete = false, _deleted, session, schemaType, connection } = {}
+) {
+  const handler = getOnDeleteOption(schemaType);
+
+  for (const documentId of [].concat(documentIds))
+    await handler(connection.model(modelRef), pathRef, documentId, {
+      modelName,
+      softDelete,
+      _deleted,
+      session,
+    });
+}
+
+async function onDeleteCascade(
+  modelName,
+  modelRef,
+  pathRef,
+  documentIds,
+  { softDelete = false, _deleted, session, refPath, connection, visited, chain, bulk } = {}
+) {
+  const model = connection.model(modelRef);
+  const queryObject = getFindQueryObjectFor(model, pathRef, documentIds, { modelName, refPath });
+  const documentIdsSet = new Set([].concat(documentIds).map(String));
+  const audit = { connection, modelName, eventNames: ['beforeCascade', 'afterCascade'], session };
+  const payload = { modelName, documentIds: [].concat(documentIds), modelRef, pathRef, softDelete };
+
+  // Nothing references the children, so there aren't references to check: delete them all at once
+  if (!softDelete && !isReferenced(modelRef, connection)) {
+    await eachAuditedBatch(model, queryObject, audit, async (batchQueryObject, childIds) => {
+      if (childIds) emit(connection, 'beforeCascade', { ...payload, childIds });
+
+      const query = model.deleteMany(batchQueryObject).session(session);
+      // Don't resolve the ids of the children again in the query middleware
+      query[checkedSymbol] = true;
+      await query.exec();
+
+      if (childIds) emit(connection, 'afterCascade', { ...payload, childIds }, session);
+    });
+    return;
+  }
+
+  // Bulk delete: apply the rules on all the children at once, then delete them with a single query
+  if (bulk && !softDelete) {
+    const { discriminatorKey } = model.schema.options;
+    const children = await model
+      .find(queryObject)
+      .select(`_id ${discriminatorKey}`)
+      .session(session)
+      .lean()
+      .exec();
+    const deletedIds = [];
+    const deletedIdsByModel = {};
+
+    for (const child of children) {
+      // Already handled by this delete (e.g. a cycle of cascades)
+      if (!visit(visited, model, child._id)) continue;
+
+      const childModelName = getDocumentModelName(model, child);
+      deletedIds.push(child._id);
+      deletedIdsByModel[childModelName] = [...(deletedIdsByModel[childModelName] || []), child._id];
+    }
+
+    const audited = deletedIds.length && hasListeners(connection, modelName, audit.eventNames);
+    if (audited) emit(connection, 'beforeCascade', { ...payload, childIds: deletedIds });
+
+    for (const childModelName of Object.keys(deletedIdsByModel))
+      await onDelete(childModelName, deletedIdsByModel[childModelName], {
+        session,
+        connection,
+        visited,
+        chain: [...chain, { modelName, documentId: documentIds }],
+        bulk,
+      });
+
+    // The rules are already applied: skip the query middlewares
+    if (deletedIds.length)
+      await model.collection.deleteMany({ _id: { $in: deletedIds } }, { session });
+
+    if (audited) emit(connection, 'afterCascade', { ...payload, childIds: deletedIds }, session);
+    return;
+  }
+
+  await eachAuditedBatch(model, queryObject, audit, async (batchQueryObject, childIds) => {
+    if (childIds) emit(connection, 'beforeCascade', { ...payload, childIds });
+    const deletedIds = [];
+
+    // Stream the children in batches
+    await model
+      .find(batchQueryObject)
+      .session(session)
+      .cursor({ batchSize: config.cascadeBatchSize })
+      .eachAsync(
+        (doc) => {
+          // Already handled by this delete (e.g. a cycle of cascades, or returned again by the cursor)
+          if (!visit(visited, model, doc._id)) return;
+          doc[visitedSymbol] = visited;
+          deletedIds.push(doc._id);
+
+          // The deleted document referenced by the child
+          const documentId = getRefValues(doc.toObject({ depopulate: true }), {
+            modelName,
+            path: pathRef,
+            refPath,
+          }).find((id) => documentIdsSet.has(String(id)));
+          doc[chainSymbol] = [...chain, { modelName, documentId }];
+          // The cursor doesn't attach the session to the documents, as find does: their deletes join the operation
+          if (session) doc.$session(session);
+
+          // We need to use the softDelete function to trigger again the hooks for checking references
+          if (softDelete) return doc.softDelete(_deleted);
+          // We need to use the deleteOne function to trigger again the hooks for checking references
+          return doc.deleteOne();
+        },
+        // Operations of a transaction can't run in parallel
+        { parallel: session ? 1 : config.cascadeConcurrency }
+      );
+
+    if (childIds && deletedIds.length)
+      emit(connection, 'afterCascade', { ...payload, childIds: deletedIds }, session);
+  });
+}
+
+/**
+ * Find the documents of modelRef blocking the delete, through any of its block refs, with a single query
+ * (only the first one, unless config.collectBlockers)
+ * @param {{ path: String, refPath?: String }[]} refs block refs of modelRef
+ * @param {Object} [options]
+ * @param {{ path: String, refPath?: String }[]} [options.cascadeRefs] cascade refs of modelRef: the documents
+ * deleted on cascade by the same delete don't block it
+ * @returns {Promise<{ modelRef: String, pathRef: String, whoIsBlocking: any, documentId: any }[]>}
+ * documentId is the deleted document referenced by the blocking one
+ */
+async function onDeleteBlock(
+  modelName,
+  modelRef,
+  refs,
+  documentIds,
+  { softDelete = false, _deleted, session, connection, visited, cascadeRefs = [] } = {}
+) {
+  if (softDelete && !_deleted) return [];
+
+  const model = connection.model(modelRef);
+  const getCondition = ({ path, refPath }) =>
+    getFindQueryObjectFor(model, path, documentIds, { modelName, refPath });
+  const queryObject = { $or: refs.map(getCondition) };
+  const documentIdsSet = new Set([].concat(documentIds).map(String));
+
+  if (cascadeRefs.length) queryObject.$nor = cascadeRefs.map(getCondition);
+
+  // The documents deleted by the same operation don't block it
+  const visitedIds = getVisitedIds(visited, model);
+  if (visitedIds.length) queryObject._id = { $nin: visitedIds };
+
+  const selectPaths = new Set();
+  for (const { path, refPath } of refs) {
+    selectPaths.add(getSelectPath(path));
+    if (typeof refPath === 'string') selectPaths.add(refPath);
+  }
+
+  const constrainedDocs = await model
+    .find(queryObject)
+    .select([...selectPaths].join(' '))
+    .limit(config.collectBlockers ? 0 : 1)
+    .session(session)
+    .lean()
+    .exec();
+
+  // A document can block the delete through several refs
+  return [].concat(
+    ...constrainedDocs.map((constrainedDoc) =>
+      refs
+        .map(({ path, refPath }) => ({
+          modelRef,
+          pathRef: path,
+          whoIsBlocking: constrainedDoc._id,
+          documentId: getRefValues(constrainedDoc, { modelName, path, refPath }).find((id) =>
+            documentIdsSet.has(String(id))
+          ),
+        }))
+        .filter(({ documentId }) => documentId !== undefined)
+    )
+  );
+}
+
+/**
+ * Apply the integrity rules of every relationship pointing to modelName
+ * @param {String} modelName name of the model of the deleted documents
+ * @param {any | any[]} documentIds id of the deleted document, or ids of the deleted documents
+ * @param {Object} [options]
+ * @param {Boolean} [options.softDelete]
+ * @param {Boolean} [options._deleted]
+ * @param {mongoose.ClientSession} [options.session] session passed to every query
+ * @param {mongoose.Connection} [options.connection] connection of the deleted documents
+ * @param {Object<String, Map>} [options.visited] documents already handled by the delete operation (see visit)
+ * @param {{ modelName: String, documentId: any }[]} [options.chain] documents deleted on cascade before these ones
+ * (on a bulk delete, documentId holds the ids of the whole level)
+ * @param {Boolean} [options.bulk] cascade the children of all the documents at once, level by level,
+ * instead of deleting them one by one (their document middlewares aren't run)
+ * @param {(error: RefConstraintError) => void} [options.onBlocked] called instead of throwing when the documents are
+ * blocked, if they can't be kept anymore (see watch)
+ * @param {mongoose.Document} [options.document] soft deleted document
+ * @param {String} [options.refPath] refPath of a dynamic ref (set for each ref by onDelete)
+ * @param {any} [options.schemaType] schemaType of the ref (set for each ref by onDelete)
+ */
+async function onDelete(modelName, documentIds, options = {}) {
+  const connection = getConnection(options.connection);
+  const visited = options.visited || {};
+  const chain = options.chain || [];
+  const blockers = [];
+
+  for (const documentId of [].concat(documentIds))
+    visit(visited, connection.model(modelName), documentId);
+
+  // Cannot remove if exists at least one referencing these documents
+  const throwIfBlocked = () => {
+    if (!blockers.length) return;
+
+    const [{ documentId, modelRef, pathRef }] = blockers;
+    const error = new RefConstraintError({
+      modelName,
+      ...blockers[0],
+      chain: [...chain, { modelName, documentId }],
+      blockers,
+    });
+
+    emit(connection, 'blocked', {
+      modelName,
+      documentIds: [].concat(documentIds),
+      modelRef,
+      pathRef,
+      childIds: blockers.map((blocker) => blocker.whoIsBlocking),
+      softDelete: !!options.softDelete,
+      error,
+    });
+
+    // The documents are already deleted (see watch): report the blockers, and apply the other policies anyway
+    if (options.onBlocked) return options.onBlocked(error);
+    throw error;
+  };
+
+  const refs = getRefs(modelName, connection);
+  const getActionRefs = (modelRef, action) =>
+    refs.filter(
+      (ref) => ref.modelName === modelRef && getOnDeleteAction(ref.schemaType) === action
+    );
+  const checkBlockers = (modelRef) =>
+    onDeleteBlock(modelName, modelRef, getActionRefs(modelRef, 'block'), documentIds, {
+      ...options,
+      connection,
+      visited,
+      cascadeRefs: getActionRefs(modelRef, 'cascade'),
+    });
+  const blockingModels = [
+    ...new Set(
+      refs
+        .filter(({ schemaType }) => getOnDeleteAction(schemaType) === 'block')
+        .map(({ modelName: modelRef }) => modelRef)
+    ),
+  ];
+
+  // Check every block before writing anything, with a query for each referencing model
+  if (options.session)
+    // Operations of a transaction can't run in parallel
+    for (const modelRef of blockingModels) blockers.push(...(await checkBlockers(modelRef)));
+  else
+    for (const modelBlockers of await Promise.all(blockingModels.map(checkBlockers)))
+      blockers.push(...modelBlockers);
+
+  throwIfBlocked();
+
+  for (let { modelName: modelRef, path, schemaType, refPath } of refs) {
+    const refOptions = { ...options, refPath, schemaType, connection, visited, chain };
+
+    switch (getOnDeleteAction(schemaType)) {
+      case 'cascade':
+        // Delete references on cascade
+        await onDeleteCascade(modelName, modelRef, path, documentIds, refOptions);
+        break;
+      case 'block':
+        // Already checked
+        break;
+      case 'setDefault':
+        // Set the default value of the path on the reference
+        await onDeleteSetDefault(modelName, modelRef, path, documentIds, refOptions);
+        break;
+      case 'custom':
+        // Let the handler of the ref decide
+        await onDeleteCustom(modelName, modelRef, path, documentIds, refOptions);
+        break;
+      default:
+        // Not required, we can simply set null the reference
+        await onDeleteSetNull(modelName, modelRef, path, documentIds, refOptions);
+    }
+  }
+}
+
+/**
+ * Walk the same decision tree of onDelete, without writing anything
+ * @param {String} modelName name of the model of the deleted documents
+ * @param {any | any[]} documentIds
+ * @param {mongoose.Connection} connection
+ * @param {Object<String, Map>} [visited] documents already in the preview (see visit)
+ * @returns {Promise<{ blocked: Boolean, children: Object[] }>}
+ */
+async function previewOnDelete(modelName, documentIds, connection, visited = {}) {
+  const children = [];
+
+  for (const documentId of [].concat(documentIds))
+    visit(visited, connection.model(modelName), documentId);
+
+  const refs = getRefs(modelName, connection);
+  for (let { modelName: modelRef, path, schemaType, refPath } of refs) {
+    const model = connection.model(modelRef);
+    const action = getOnDeleteAction(schemaType);
+    const getCondition = (ref) =>
+      getFindQueryObjectFor(model, ref.path, documentIds, { modelName, refPath: ref.refPath });
+    const queryObject = getCondition({ path, refPath });
+
+    // Like onDeleteBlock: the documents deleted on cascade by the same delete don't block it
+    const cascadeRefs = refs.filter(
+      (ref) => ref.modelName === modelRef && getOnDeleteAction(ref.schemaType) === 'cascade'
+    );
+    if (action === 'block' && cascadeRefs.length) queryObject.$nor = cascadeRefs.map(getCondition);
+
+    const visitedIds = new Set(getVisitedIds(visited, model).map(String));
+    const { discriminatorKey } = model.schema.options;
+    const referencingDocs = (
+      await model.find(queryObject).select(`_id ${discriminatorKey}`).lean().exec()
+    )
+      // Documents already deleted by the preview (e.g. a cycle of cascades)
+      .filter((doc) => !visitedIds.has(String(doc._id)));
+
+    // Nothing would be touched
+    if (!referencingDocs.length) continue;
+
+    const child = {
+      modelName: modelRef,
+      path,
+      action,
+      documentIds: referencingDocs.map((doc) => doc._id),
+      blocked: action === 'block',
+      children: [],
+    };
+
+    // The referencing documents would be deleted too, so their references would be checked as well:
+    // like a real delete, with the refs of their discriminator
+    if (action === 'cascade') {
+      const referencingIdsByModel = {};
+      for (const doc of referencingDocs) {
+        const docModelName = getDocumentModelName(model, doc);
+        referencingIdsByModel[docModelName] = [
+          ...(referencingIdsByModel[docModelName] || []),
+          doc._id,
+        ];
+      }
+
+      for (const docModelName of Object.keys(referencingIdsByModel)) {
+        const preview = await previewOnDelete(
+          docModelName,
+          referencingIdsByModel[docModelName],
+          connection,
+          visited
+        );
+        child.blocked = child.blocked || preview.blocked;
+        child.children.push(...preview.children);
+      }
+    }
+
+    children.push(child);
+  }
+
+  return { blocked: children.some((child) => child.blocked), children };
+}
+
+/**
+ * Preview what deleting documents would do, without writing anything
+ * @param {mongoose.Model} model model of the documents to delete
+ * @param {any | any[]} documentIds
+ * @returns {Promise<Object>} tree of { modelName, path, action, documentIds, blocked, children },
+ * where action is 'delete' for the root, else 'cascade', 'block', 'setNull', 'setDefault' or 'custom'
+ */
+async function previewDelete(model, documentIds) {
+  return {
+    modelName: model.modelName,
+    action: 'delete',
+    documentIds: [].concat(documentIds),
+    ...(await previewOnDelete(model.modelName, documentIds, model.db)),
+  };
+}
+
+/**
+ * Get the relationships between the models of a connection
+ * @param {Object} [options]
+ * @param {mongoose.Connection} [options.connection] default: the connection of the mongoose instance
+ * @returns {Object<String, { modelRef: String, pathRef: String, refPath?: String, array: Boolean, nested: Boolean, action: String }[]>}
+ * for each referenced model, the refs pointing to it (action is 'cascade', 'block', 'setNull', 'setDefault' or 'custom')
+ */
+function getGraph({ connection } = {}) {
+  const refs = getRegistry(getConnection(connection));
+  const graph = {};
+
+  for (const modelName of Object.keys(refs))
+    graph[modelName] = refs[modelName].map(
+      ({ modelName: modelRef, path, schemaType, refPath, array }) => ({
+        modelRef,
+        pathRef: path,
+        ...(typeof refPath === 'string' ? { refPath } : {}),
+        array,
+        nested: path.includes('.'),
+        action: getOnDeleteAction(schemaType),
+      })
+    );
+
+  return graph;
+}
+
+/**
+ * Export the relationships between the models of a connection
+ * @param {'json' | 'dot' | 'mermaid'} format
+ * @param {Object} [options] see getGraph
+ * @returns {String}
+ */
+function exportGraph(format, options) {
+  const exporter = graphExporters[format];
+  if (!exporter)
+    throw new Error(`mongoose-references-integrity-checker: unknown graph format '${format}'`);
+
+  return exporter(getGraph(options));
+}
+
+/**
+ * Find the ids of the documents that the query is going to delete, grouped by model (the documents of a base model
+ * can be documents of its discriminators).
+ * Any filter is supported (not only a plain _id), e.g. { slug: 'x' } or { _id: { $in: [...] } }.
+ * The query is then restricted to these ids, so it can't delete anything that wasn't checked
+ * (unless it matches more than queryIdsBatchSize documents: the ids wouldn't fit in the query).
+ * @param {mongoose.Query} query
+ * @param {Object} [options]
+ * @param {Boolean} [options.single] the query deletes at most one document (findOneAndDelete, ...)
+ * @param {mongoose.ClientSession} [options.session]
+ * @returns {Promise<Object<String, any[]>>}
+ */
+async function getQueryDocumentIds(query, { single = false, session } = {}) {
+  const { discriminatorKey } = query.model.schema.options;
+  const finder = query.model
+    .find(query.getFilter())
+    .select(`_id ${discriminatorKey}`)
+    .session(session)
+    .lean();
+  if (single) finder.sort(query.getOptions().sort).limit(1);
+
+  const documents = await finder.exec();
+  if (documents.length <= queryIdsBatchSize)
+    query.where('_id', { $in: documents.map((doc) => doc._id) });
+
+  const documentIds = {};
+  for (const doc of documents) {
+    const modelName = getDocumentModelName(query.model, doc);
+    documentIds[modelName] = [...(documentIds[modelName] || []), doc._id];
+  }
+
+  return documentIds;
+}
+
+/**
+ * Apply the integrity rules on the documents that the query is going to delete, by batches of ids
+ * @param {mongoose.Query} query
+ * @param {Object} [options] see getQueryDocumentIds
+ */
+async function onQueryDelete(query, { single } = {}) {
+  // Nothing references the documents (or they're already checked): no need to resolve them
+  if (query[checkedSymbol] || !isReferenced(query.model.modelName, query.model.db)) return;
+
+  const session = await startTransaction(query, query.model.db);
+  const documentIds = await getQueryDocumentIds(query, { single, session });
+  const visited = {};
+
+  for (const modelName of Object.keys(documentIds))
+    for (let i = 0; i < documentIds[modelName].length; i += queryIdsBatchSize)
+      await onDelete(modelName, documentIds[modelName].slice(i, i + queryIdsBatchSize), {
+        session,
+        connection: query.model.db,
+        visited,
+        bulk: !!query[bulkSymbol],
+      });
+}
+
+/**
+ * Delete the documents matched by filter, with the integrity rules applied on all of them at once:
+ * one query for each ref and each level of cascade, whatever the number of documents
+ * @param {mongoose.Model} model
+ * @param {Object} [filter]
+ * @returns {mongoose.Query} deleteMany query, the children deleted on cascade don't run their document middlewares
+ */
+function deleteManyWithIntegrity(model, filter = {}) {
+  const query = model.deleteMany(filter);
+  query[bulkSymbol] = true;
+
+  return query;
+}
+
+/**
+ * Check if the server behind the connection supports transactions (replica set or sharded cluster)
+ * @param {mongoose.Connection} connection
+ * @returns {Promise<Boolean>}
+ */
+async function supportsTransactions(connection) {
+  if (!transactionsSupport.has(connection)) {
+    if (connection.readyState !== 1)
+      await new Promise((resolve) => connection.once('open', resolve));
+
+    const info = await connection.db.admin().command({ isMaster: 1 });
+    transactionsSupport.set(connection, !!(info.setName || info.msg === 'isdbgrid'));
+  }
+
+  return transactionsSupport.get(connection);
+}
+
+/**
+ * Get the session to use for the integrity checks of a document or a query.
+ * The session already attached to the target is used, if it isn't in a transaction yet one is started on it.
+ * If there isn't any session, a new one is started and attached to the target.
+ * @param {mongoose.Document | mongoose.Query} target
+ * @param {mongoose.Connection} connection
+ * @returns {Promise<mongoose.ClientSession | null>}
+ */
+async function startTransaction(target, connection) {
+  const isQuery = typeof target.getFilter === 'function';
+  let session = isQuery ? target.getOptions().session : target.$session();
+  if (session && session.hasEnded) session = null;
+
+  // Already part of a transaction (e.g. a document loaded by a cascade)
+  if (session && session.inTransaction()) return session;
+
+  if (config.transactions === false || !(await supportsTransactions(connection))) {
+    if (config.transactions === 'required')
+      throw new Error(
+        'mongoose-references-integrity-checker: transactions are required, but the server does not support them'
+      );
+
+    // Fallback to non-transactional mode
+    return session;
+  }
+
+  const ownSession = !session;
+  if (ownSession) {
+    session = await connection.startSession();
+    if (isQuery) target.session(session);
+    else target.$session(session);
+  }
+
+  session.startTransaction();
+  target[transactionSymbol] = { session, ownSession };
+  pendingEvents.set(session, []);
+
+  return session;
+}
+
+/**
+ * Commit, or abort if there is an error, the transaction started by startTransaction on the target
+ * @param {mongoose.Document | mongoose.Query} target
+ * @param {Error} [error]
+ */
+async function endTransaction(target, error) {
+  const transaction = target[transactionSymbol];
+  if (!transaction) return;
+
+  const { session, ownSession } = transaction;
+  const pending = pendingEvents.get(session);
+  delete target[transactionSymbol];
+  pendingEvents.delete(session);
+
+  try {
+    if (error) await session.abortTransaction();
+    else {
+      await session.commitTransaction();
+      // The events of the actions rolled back by an abort are never emitted
+      for (const emitPending of pending) emitPending();
+    }
+  } finally {
+    if (ownSession) {
+      session.endSession();
+
+      // Detach the ended session
+      if (typeof target.getFilter === 'function') target.session(null);
+      else target.$session(null);
+    }
+  }
+}
+
+/**
+ * Get the refs declared by the schema of a model
+ * @param {String} modelRef name of the model holding the refs
+ * @param {mongoose.Connection} connection
+ * @returns {{ modelName: String, path: String, schemaType: any, refPath?: String }[]} modelName is the referenced model
+ */
+function getRefsOf(modelRef, connection) {
+  const refs = getRegistry(connection);
+  const model = getConnectionModel(connection, modelRef);
+  // A discriminator holds the refs inherited from its base model too
+  const holderNames = [modelRef, model && model.baseModelName];
+  const result = [];
+
+  for (const modelName of Object.keys(refs))
+    for (const { modelName: holderName, path, schemaType, refPath } of refs[modelName])
+      if (holderNames.includes(holderName)) result.push({ modelName, path, schemaType, refPath });
+
+  return result;
+}
+
+/**
+ * Get all the values at the path of an object, arrays at any level of the path are flattened
+ * @param {any} value
+ * @param {String[]} path
+ * @returns {any[]}
+ */
+function getPathValues(value, path) {
+  if (value === null || value === undefined) return [];
+
+  // Array of refs or document array
+  if (value instanceof Array) return [].concat(...value.map((item) => getPathValues(item, path)));
+
+  if (!path.length) return [value];
+
+  // Values of a map
+  if (path[0] === '$*')
+    return [].concat(
+      ...(value instanceof Map ? [...value.values()] : Object.values(value)).map((item) =>
+        getPathValues(item, path.slice(1))
+      )
+    );
+
+  return getPathValues(value[path[0]], path.slice(1));
+}
+
+/**
+ * Get the ids referenced through a ref by a document
+ * @param {Object} object plain document
+ * @param {{ modelName: String, path: String, refPath?: String }} ref
+ * @returns {any[]}
+ */
+function getRefValues(object, { modelName, path, refPath }) {
+  const pathParts = path.split('.');
+  if (typeof refPath !== 'string') return getPathValues(object, pathParts);
+
+  // Dynamic ref: keep only the values of the items (or of the document) pointing to modelName
+  const refPathParts = refPath.split('.');
+  const commonLength = getRefPathCommonLength(pathParts, refPathParts);
+
+  return [].concat(
+    ...getPathValues(object, pathParts.slice(0, commonLength))
+      .filter((item) => getPathValues(item, refPathParts.slice(commonLength)).includes(modelName))
+      .map((item) => getPathValues(item, pathParts.slice(commonLength)))
+  );
+}
+
+/**
+ * Get the values written at the path by an update
+ * @param {Object} update
+ * @param {String} path
+ * @returns {any[]}
+ */
+function getUpdateValues(update, path) {
+  const pathParts = path.split('.');
+  const values = [];
+
+  for (const operator of Object.keys(update)) {
+    let fields;
+
+    // Fields without operator are set
+    if (operator[0] !== '$') fields = { [operator]: update[operator] };
+    else if (['$set', '$setOnInsert', '$push', '$addToSet'].includes(operator))
+      fields = update[operator] || {};
+    else continue;
+
+    for (const field of Object.keys(fields)) {
+      let value = fields[field];
+      // $push and $addToSet modifiers
+      if (value && value.$each) value = value.$each;
+
+      // Positional operators and indexes don't change the written path
+      const fieldParts = field.split('.').filter((part) => !/^(\$|\$\[.*\]|\d+)$/.test(part));
+
+      if (
+        fieldParts.length <= pathParts.length &&
+        // Keys of a map match its values path ('$*')
+        fieldParts.every((part, i) => part === pathParts[i] || pathParts[i] === '$*')
+      )
+        values.push(...getPathValues(value, pathParts.slice(fieldParts.length)));
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Check that every document referenced by modelRef exists
+ * @param {String} modelRef name of the model holding the refs
+ * @param {(ref: Object) => any[]} getValues get the referenced ids written through the ref (see getRefsOf)
+ * @param {Object} [options]
+ * @param {mongoose.ClientSession} [options.session]
+ * @param {mongoose.Connection} [options.connection] connection of the model holding the refs
+ * @throws {MissingRefError}
+ */
+async function checkRefsExistence(modelRef, getValues, { session, connection } = {}) {
+  connection = getConnection(connection);
+
+  for (const ref of getRefsOf(modelRef, connection)) {
+    const { modelName, path } = ref;
+
+    // The referenced model isn't defined (yet)
+    if (!getConnectionModel(connection, modelName)) continue;
+
+    const referencedIds = getValues(ref);
+    if (!referencedIds.length) continue;
+
+    const foundIds = new Set(
+      (
+        await connection
+          .model(modelName)
+          .find({ _id: { $in: referencedIds } })
+          .select('_id')
+          .session(session)
+          .lean()
+          .exec()
+      ).map((doc) => String(doc._id))
+    );
+
+    const missingId = referencedIds.find((id) => !foundIds.has(String(id)));
+    if (missingId !== undefined)
+      throw new MissingRefError({ modelName, modelRef, pathRef: path, missingId });
+  }
+}
+
+/**
+ * Check the required refs of a restored document: its parents mustn't be soft deleted anymore.
+ * Depending on config.softDeleteRestore, block the restore or restore the parents too (walking up the chain)
+ * @param {mongoose.Document} document restored document
+ * @param {Object} [options]
+ * @param {mongoose.ClientSession} [options.session]
+ * @param {mongoose.Connection} [options.connection]
+ * @param {Object<String, Map>} [options.visited] documents already restored by the operation (see visit)
+ */
+async function onRestore(document, { session, connection, visited } = {}) {
+  if (!config.softDeleteRestore) return;
+
+  connection = getConnection(connection);
+  const modelRef = document.constructor.modelName;
+  const object = document.toObject({ depopulate: true });
+
+  for (const { modelName, path, schemaType, refPath } of getRefsOf(modelRef, connection)) {
+    // Only the required refs, and only if the referenced model can be soft deleted
+    if (!['block', 'cascade'].includes(getOnDeleteAction(schemaType))) continue;
+    if (!getConnectionModel(connection, modelName)) continue;
+    if (!connection.model(modelName).schema.path('_deleted')) continue;
+
+    const model = connection.model(modelName);
+    // Parents restored by the same operation are fine
+    const visitedIds = new Set(getVisitedIds(visited, model).map(String));
+    const referencedIds = getRefValues(object, { modelName, path, refPath }).filter(
+      (id) => !visitedIds.has(String(id))
+    );
+    if (!referencedIds.length) continue;
+
+    const deletedParents = await model
+      .find({ _id: { $in: referencedIds }, _deleted: true })
+      .session(session)
+      .exec();
+    if (!deletedParents.length) continue;
+
+    if (config.softDeleteRestore !== 'restoreParents')
+      throw new SoftDeletedRefError({
+        modelName,
+        modelRef,
+        pathRef: path,
+        documentId: document._id,
+        deletedId: deletedParents[0]._id,
+      });
+
+    for (const parent of deletedParents) {
+      if (!visit(visited, model, parent._id)) continue;
+      parent[visitedSymbol] = visited;
+      await parent.softDelete(false);
+    }
+  }
+}
+
+/**
+ * @param {any} schemaType schemaType (or options of the array items) of the ref
+ * @returns {'delete' | 'report' | 'setNull' | 'setDefault' | 'custom'} what repairOrphans does with the orphans of the ref
+ */
+function getOrphanAction(schemaType) {
+  return {
+    cascade: 'delete',
+    block: 'report',
+    setNull: 'setNull',
+    setDefault: 'setDefault',
+    custom: 'custom',
+  }[getOnDeleteAction(schemaType)];
+}
+
+/**
+ * Find the documents referencing documents that don't exist anymore
+ * @param {Object} [options]
+ * @param {mongoose.Connection} [options.connection] connection to check (default: the connection of the mongoose instance)
+ * @returns {Promise<{ modelName: String, modelRef: String, pathRef: String, documentId: any, missingId: any, action: String }[]>}
+ * modelName is the referenced model, modelRef the model of the orphan document, action what repairOrphans will do
+ */
+async function findOrphans({ connection } = {}) {
+  connection = getConnection(connection);
+  const models = getCompiledModels(connection);
+  const refs = getRegistry(connection);
+  const orphans = [];
+
+  for (const modelName of Object.keys(refs)) {
+    // The referenced model isn't compiled on the connection (yet)
+    if (!models[modelName]) continue;
+
+    for (const { modelName: modelRef, path, schemaType, refPath } of refs[modelName]) {
+      if (!models[modelRef]) continue;
+
+      const model = connection.model(modelRef);
+      const ref = { modelName, path, refPath };
+      let referencedIds;
+
+      if (
+        typeof refPath === 'string' ||
+        getMapPath(path) ||
+        getArrayDepth(model.schema.path(path)) > 1
+      ) {
+        // Dynamic ref: collect only the ids pointing to modelName
+        // Map or array of arrays: distinct doesn't reach the refs
+        const referencedIdsSet = new Set();
+        await model
+          .find({
+            ...getDiscriminatorCondition(model),
+            ...(typeof refPath === 'string' && { [refPath]: modelName }),
+          })
+          .select(typeof refPath === 'string' ? `${path} ${refPath}` : getSelectPath(path))
+          .lean()
+          .cursor()
+          .eachAsync((doc) => {
+            for (const id of getRefValues(doc, ref)) referencedIdsSet.add(String(id));
+          });
+
+        referencedIds = [...referencedIdsSet];
+      }
+      // Arrays are flattened by distinct
+      else referencedIds = await model.distinct(path, getDiscriminatorCondition(model)).exec();
+
+      referencedIds = referencedIds.filter((id) => id !== null && id !== undefined);
+      if (!referencedIds.length) continue;
+
+      const foundIds = new Set(
+        (
+          await connection
+            .model(modelName)
+            .find({ _id: { $in: referencedIds } })
+            .select('_id')
+            .lean()
+            .exec()
+        ).map((doc) => String(doc._id))
+      );
+
+      const missingIds = referencedIds.filter((id) => !foundIds.has(String(id)));
+      if (!missingIds.length) continue;
+
+      const missingIdsSet = new Set(missingIds.map(String));
+      const documents = await model
+        .find(getFindQueryObjectFor(model, path, missingIds, { modelName, refPath }))
+        .select(typeof refPath === 'string' ? `${path} ${refPath}` : getSelectPath(path))
+        .lean()
+        .exec();
+
+      for (const doc of documents)
+        for (const missingId of getRefValues(doc, ref))
+          if (missingIdsSet.has(String(missingId)))
+            orphans.push({
+              modelName,
+              modelRef,
+              pathRef: path,
+              refPath,
+              documentId: doc._id,
+              missingId,
+              action: getOrphanAction(schemaType),
+            });
+    }
+  }
+
+  return orphans;
+}
+
+/**
+ * Apply the policy of each ref on the orphans:
+ * not required refs are unset (or pulled from the array), documents with a cascade ref are deleted, required refs are only reported,
+ * setDefault refs get their default value and custom handlers are called with each missing id
+ * @param {Object} [options]
+ * @param {Boolean} [options.dryRun] only report what would be done
+ * @param {mongoose.Connection} [options.connection] see findOrphans
+ * @returns {Promise<Object[]>} the orphans found (see findOrphans)
+ */
+async function repairOrphans({ dryRun = false, connection } = {}) {
+  connection = getConnection(connection);
+  const orphans = await findOrphans({ connection });
+  if (!dryRun) await applyOrphansPolicies(orphans, { connection });
+
+  return orphans;
+}
+
+/**
+ * Apply the policy of each ref on the orphans (see repairOrphans)
+ * @param {Object[]} orphans see findOrphans
+ * @param {Object} options
+ * @param {mongoose.Connection} options.connection
+ * @param {mongoose.ClientSession} [options.session]
+ */
+async function applyOrphansPolicies(orphans, { connection, session }) {
+  // Group the orphans by the ref holding them
+  const groups = {};
+  for (const orphan of orphans) {
+    const key = `${orphan.modelName}:${orphan.modelRef}:${orphan.pathRef}:${orphan.action}`;
+    if (!groups[key]) groups[key] = { ...orphan, documentIds: [], missingIds: [] };
+
+    groups[key].documentIds.push(orphan.documentId);
+    groups[key].missingIds.push(orphan.missingId);
+  }
+
+  for (const group of Object.values(groups)) {
+    const { modelName, modelRef, pathRef, refPath, action, documentIds, missingIds } = group;
+    const model = connection.model(modelRef);
+    const { schemaType } = getRefsOf(modelRef, connection).find(
+      (ref) => ref.modelName === modelName && ref.path === pathRef
+    );
+
+    if (action === 'setNull' || action === 'setDefault') {
+      const [update, updateOptions] = getUpdateQueryObjectFor(model, pathRef, missingIds, {
+        modelName,
+        refPath,
+        value: action === 'setDefault' ? getDefaultValue(schemaType) : null,
+      });
+
+      await model
+        .updateMany(
+          {
+            ...getFindQueryObjectFor(model, pathRef, missingIds, { modelName, refPath }),
+            _id: { $in: documentIds },
+          },
+          update,
+          { ...updateOptions, session }
+        )
+        .exec();
+    } else if (action === 'delete') {
+      const documents = await model
+        .find({ _id: { $in: documentIds } })
+        .session(session)
+        .exec();
+
+      // We need to use the deleteOne function to trigger the hooks for checking references
+      for (const doc of documents) await doc.deleteOne();
+    } else if (action === 'custom') {
+      for (const missingId of new Set(missingIds.map(String)))
+        await getOnDeleteOption(schemaType)(model, pathRef, missingId, {
+          modelName,
+          softDelete: false,
+          session,
+        });
+    }
+  }
+}
+
+/**
+ * Find the refs that populate couldn't resolve on the documents found by a query
+ * (paths populated with a match or a limit are skipped, their missing documents can be filtered out)
+ * @param {mongoose.Query} query
+ * @param {mongoose.Document[]} documents
+ * @returns {Object[]} see findOrphans
+ */
+function getDanglingRefs(query, documents) {
+  const populate = query._mongooseOptions.populate;
+  const dangling = [];
+  if (!populate) return dangling;
+
+  // The mongoose instance of the model, not necessarily the one of the main module
+  const { Document } = query.model.base;
+  const refs = getRefsOf(query.model.modelName, query.model.db);
+  for (const { modelName, path, schemaType, refPath } of refs) {
+    const options = populate[path];
+    if (!options || options.match || options.perDocumentLimit) continue;
+    if (options.options && options.options.limit) continue;
+
+    // Dynamic refs: only with a refPath set on the document
+    if (refPath !== undefined && typeof refPath !== 'string') continue;
+    if (typeof refPath === 'string' && getRefPathCommonLength(path.split('.'), refPath.split('.')))
+      continue;
+
+    for (const doc of documents) {
+      // Lean documents don't keep the populated ids
+      if (!(doc instanceof Document) || !doc.populated(path)) continue;
+      if (typeof refPath === 'string' && doc.get(refPath) !== modelName) continue;
+
+      const resolvedIds = new Set(
+        getPathValues(doc, path.split('.'))
+          .filter((value) => value instanceof Document)
+          .map((value) => String(value._id))
+      );
+
+      for (const missingId of getPathValues(doc.populated(path), []))
+        if (!resolvedIds.has(String(missingId)))
+          dangling.push({
+            modelName,
+            modelRef: query.model.modelName,
+            pathRef: path,
+            refPath,
+            documentId: doc._id,
+            missingId,
+            action: getOrphanAction(schemaType),
+          });
+    }
+  }
+
+  return dangling;
+}
+
+/**
+ * Handle the refs that populate couldn't resolve (see config.danglingRefs)
+ * @param {mongoose.Query} query
+ * @param {mongoose.Document | mongoose.Document[]} result documents found by the query
+ */
+async function onPopulated(query, result) {
+  if (!config.danglingRefs || !result) return;
+
+  const connection = query.model.db;
+  const dangling = getDanglingRefs(query, [].concat(result));
+  if (!dangling.length) return;
+
+  switch (config.danglingRefs) {
+    case 'log':
+      for (const danglingRef of dangling) {
+        const { message } = new MissingRefError(danglingRef);
+        process.emitWarning(`mongoose-references-integrity-checker: ${message}`);
+      }
+      break;
+    case 'event':
+      for (const danglingRef of dangling) emit(connection, 'danglingRef', danglingRef);
+      break;
+    case 'error':
+      throw new MissingRefError(dangling[0]);
+    case 'repair':
+      await applyOrphansPolicies(dangling, { connection, session: query.getOptions().session });
+      break;
+  }
+}
+
+/**
+ * Find the refs held by a model whose path isn't the first key of an index of its collection
+ * (the integrity checks query the children by the ref path).
+ * The refs of a map aren't reported, their queries ($expr) can't use an index.
+ * @param {mongoose.Model} model model holding the refs
+ * @param {Object} [options]
+ * @param {Boolean} [options.create] create the missing indexes
+ * @param {Set<String>} [options.reported] collections and paths already reported (e.g. by the base model of a discriminator)
+ * @returns {Promise<{ modelName: String, modelRef: String, pathRef: String, collectionName: String, key: Object, created: Boolean }[]>}
+ * modelName is the referenced model
+ */
+async function checkModelIndexes(model, { create = false, reported = new Set() } = {}) {
+  const collectionName = model.collection.name;
+  const missingIndexes = [];
+  let indexes;
+
+  try {
+    indexes = await model.collection.indexes();
+  } catch (e) {
+    // The collection doesn't exist yet
+    if (e.code !== 26) throw e;
+    indexes = [];
+  }
+
+  const indexedPaths = new Set(indexes.map((index) => Object.keys(index.key)[0]));
+
+  for (const { modelName, path } of getRefsOf(model.modelName, model.db)) {
+    if (getMapPath(path) || indexedPaths.has(path)) continue;
+
+    // A path is reported once, even if it references several models (refPath)
+    if (reported.has(`${collectionName} ${path}`)) continue;
+    reported.add(`${collectionName} ${path}`);
+    const key = { [path]: 1 };
+    if (create) await model.collection.createIndex(key, { background: true });
+
+    missingIndexes.push({
+      modelName,
+      modelRef: model.modelName,
+      pathRef: path,
+      collectionName,
+      key,
+      created: create,
+    });
+  }
+
+  return missingIndexes;
+}
+
+/**
+ * Compare the registered refs with the indexes of the collections holding them
+ * @param {Object} [options]
+ * @param {mongoose.Connection} [options.connection] connection to check (default: the connection of the mongoose instance)
+ * @param {Boolean} [options.create] create the missing indexes
+ * @returns {Promise<Object[]>} the missing indexes (see checkModelIndexes)
+ */
+async function checkIndexes({ connection, create = false } = {}) {
+  connection = getConnection(connection);
+  const models = getCompiledModels(connection);
+  const missingIndexes = [];
+  // Discriminators share the collection of their base model
+  const reported = new Set();
+
+  for (const modelRef of Object.keys(models))
+    missingIndexes.push(
+      ...(await checkModelIndexes(connection.model(modelRef), { create, reported }))
+    );
+
+  return missingIndexes;
+}
+
+/**
+ * Apply the integrity rules on the deletes made outside mongoose (other services, the shell, the driver),
+ * seen through a change stream on the collections of the referenced models (it needs a replica set).
+ * The deleted documents can't be kept anymore: the documents blocking them are reported as violations.
+ * The watcher emits:
+ * - 'violation' (RefConstraintError) for each delete that should have been blocked
+ * - 'resumeToken' (token) after each delete handled, to resume the watch from it later (options.resumeAfter)
+ * - 'error' (Error)
+ * @param {Object} [options]
+ * @param {mongoose.Connection} [options.connection] connection to watch (default: the connection of the mongoose instance)
+ * @param {Object} [options.resumeAfter] resume token of the last delete handled
+ * @returns {Promise<EventEmitter>} the watcher, watcher.close() stops it once the pending deletes are handled
+ */
+async function watch({ connection, resumeAfter } = {}) {
+  connection = getConnection(connection);
+  if (connection.readyState !== 1) await new Promise((resolve) => connection.once('open', resolve));
+
+  // Referenced models by collection (discriminators are watched through their base model)
+  const models = getCompiledModels(connection);
+  const watchedModels = {};
+  for (const modelName of Object.keys(getRegistry(connection))) {
+    const model = models[modelName];
+    if (!model) continue;
+
+    const baseModel = (model.baseModelName && models[model.baseModelName]) || model;
+    watchedModels[baseModel.collection.name] = baseModel;
+  }
+
+  // The stream is only opened at its first read: start it from now, so the deletes made
+  // once the watcher is returned aren't missed
+  const startOptions = resumeAfter
+    ? { resumeAfter }
+    : { startAtOperationTime: (await connection.db.command({ ping: 1 })).operationTime };
+
+  const watcher = new EventEmitter();
+  const changeStream = connection.db.watch(
+    [{ $match: { operationType: 'delete', 'ns.coll': { $in: Object.keys(watchedModels) } } }],
+    startOptions
+  );
+  // The deletes are handled one after the other, in the order of the stream
+  let pending = Promise.resolve();
+
+  const onChange = async ({ _id: resumeToken, ns, documentKey }) => {
+    try {
+      await onDelete(watchedModels[ns.coll].modelName, documentKey._id, {
+        connection,
+        onBlocked: (error) => watcher.emit('violation', error),
+      });
+    } catch (e) {
+      // Blocked deeper: the children on cascade are kept
+      if (e instanceof RefConstraintError) watcher.emit('violation', e);
+      else watcher.emit('error', e);
+    }
+
+    watcher.resumeToken = resumeToken;
+    watcher.emit('resumeToken', resumeToken);
+  };
+
+  changeStream.on('change', (change) => {
+    pending = pending.then(() => onChange(change));
+  });
+  changeStream.on('error', (e) => watcher.emit('error', e));
+
+  watcher.close = async () => {
+    await changeStream.close();
+    await pending;
+  };
+
+  return watcher;
+}
+
+function plugin(modelName, schema) {
+  // Refs declared by the schema, resolved for each connection by getRegistry
+  const refs = getSchemaRefs(schema);
+  checkCascadeCycles(modelName, refs);
+
+  // Registered again (e.g. hot reload): the refs are refreshed, the hooks are already there
+  const registered = schemaRefs.has(schema);
+  schemaRefs.set(schema, refs);
+  registerUnsetRefs(modelName, refs);
+  if (registered) return;
+
+  schema.statics.previewDelete = function (documentIds) {
+    return previewDelete(this, documentIds);
+  };
+
+  schema.statics.deleteManyWithIntegrity = function (filter) {
+    return deleteManyWithIntegrity(this, filter);
+  };
+
+  // Before saving, check that the referenced documents exist
+  schema.pre('save', async function () {
+    if (!config.validateRefs) return;
+
+    const doc = this.toObject({ depopulate: true });
+    await checkRefsExistence(
+      this.constructor.modelName,
+      // Check only the new refs
+      (ref) =>
+        this.isNew || this.isModified(ref.path.split('.')[0]) ? getRefValues(doc, ref) : [],
+      { session: this.$session(), connection: this.constructor.db }
+    );
+  });
+
+  schema.pre('insertMany', function (next, docs, options) {
+    if (!config.validateRefs) return next();
+
+    const objects = [].concat(docs).map((doc) =>
+      doc && doc.toObject ? doc.toObject({ depopulate: true }) : doc
+    );
+    checkRefsExistence(
+      this.modelName,
+      (ref) => [].concat(...objects.map((object) => getRefValues(object, ref))),
+      { connection: this.db, session: options && options.session }
+    ).then(() => next(), next);
+  });
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function () {
+    const update = this.getUpdate();
+    // Skip aggregation pipeline updates
+    if (!config.validateRefs || !update || update instanceof Array) return;
+
+    await checkRefsExistence(
+      this.model.modelName,
+      ({ modelName: refModelName, path, refPath }) => {
+        if (typeof refPath !== 'string') return getUpdateValues(update, path);
+
+        // Dynamic ref: check it only if the update writes the ref together with its refPath
+        const refModelNames = getUpdateValues(update, refPath);
+        return refModelNames.length === 1 && refModelNames[0] === refModelName
+          ? getUpdateValues(update, path)
+          : [];
+      },
+      { session: this.getOptions().session, connection: this.model.db }
+    );
+  });
+
+  // Before remove, check if the removing is possible
+  schema.pre('remove', async function () {
+    const session = await startTransaction(this, this.constructor.db);
+    await onDelete(this.constructor.modelName, this._id, {
+      session,
+      connection: this.constructor.db,
+      visited: this[visitedSymbol],
+      chain: this[chainSymbol],
+    });
+  });
+
+  // Before deleteOne, check if the removing is possible
+  schema.pre('deleteOne', { document: true, query: false }, async function () {
+    const session = await startTransaction(this, this.constructor.db);
+    await onDelete(this.constructor.modelName, this._id, {
+      session,
+      connection: this.constructor.db,
+      visited: this[visitedSymbol],
+      chain: this[chainSymbol],
+    });
+  });
+
+  // Before deleteOne on a query, check the document matched by its filter
+  schema.pre('deleteOne', { document: false, query: true }, async function () {
+    await onQueryDelete(this, { single: true });
+  });
+
+  // Before deleting many documents with a query, check all of them at once
+  schema.pre('deleteMany', async function () {
+    await onQueryDelete(this);
+  });
+
+  schema.pre('remove', { document: false, query: true }, async function () {
+    await onQueryDelete(this);
+  });
+
+  // Before deleting the first document matched by a query (findByIdAndDelete uses findOneAndDelete)
+  schema.pre(['findOneAndDelete', 'findOneAndRemove'], async function () {
+    await onQueryDelete(this, { single: true });
+  });
+
+  // After the delete, commit the transaction (if started by the plugin) or abort it on errors
+  function commitTransaction() {
+    return endTransaction(this);
+  }
+
+  function abortTransaction(error, res, next) {
+    endTransaction(this, error).then(
+      () => next(),
+      () => next()
+    );
+  }
+
+  for (const operation of ['remove', 'deleteOne']) {
+    schema.post(operation, { document: true, query: false }, commitTransaction);
+    schema.post(operation, { document: true, query: false }, abortTransaction);
+  }
+
+  for (const operation of [
+    'deleteOne',
+    'deleteMany',
+    'remove',
+    'findOneAndDelete',
+    'findOneAndRemove',
+  ]) {
+    schema.post(operation, { document: false, query: true }, commitTransaction);
+    schema.post(operation, { document: false, query: true }, abortTransaction);
+  }
+
+  // When the model is compiled, check the indexes of its refs once they are built
+  schema.on('init', (model) => {
+    if (!config.checkIndexes || indexChecks.has(model)) return;
+    indexChecks.add(model);
+
+    // model.$init (the indexes build) is set right after this event
+    Promise.resolve()
+      .then(() => model.$init)
+      .then(() => checkModelIndexes(model, { create: config.checkIndexes === 'create' }))
+      .then((missingIndexes) => {
+        for (const { modelRef, pathRef, collectionName, created } of missingIndexes)
+          if (!created)
+            process.emitWarning(
+              `mongoose-references-integrity-checker: ${modelRef}.${pathRef} isn't indexed ` +
+                `(collection ${collectionName}), deleting the referenced documents will scan it`
+            );
+      })
+      .catch((e) => process.emitWarning(e));
+  });
+
+  // After populate, look for the refs that weren't resolved
+  schema.post(['find', 'findOne'], async function (result) {
+    await onPopulated(this, result);
+  });
+
+  // Don't populate the soft deleted documents on the refs in 'hide' mode
+  schema.pre(['find', 'findOne'], function () {
+    hideSoftDeletedRefs(this);
+  });
+
+  schema.plugin((schema) => {
+    // If soft deleting is available
+    if (schema.statics.preSoftDelete) {
+      // Refs of the children unset on soft delete, to link them again on restore ('unset' mode),
+      // only if the model can be referenced in 'unset' mode
+      softDeleteSchemas[modelName] = [...(softDeleteSchemas[modelName] || []), schema];
+      if (config.softDeleteSetNull === 'unset' || unsetRefsModels.has(modelName))
+        addUnsetRefsPath(schema, modelName);
+      schema.on('init', () => compiledSchemas.add(schema));
+
+      schema.statics.preSoftDelete(async (document) => {
+        try {
+          const session = await startTransaction(document, document.constructor.db);
+          const visited = document[visitedSymbol] || {};
+
+          // Restoring: the parents of the document must be restored too
+          if (!document._deleted && !document.isNew) {
+            visit(visited, document.constructor, document._id);
+            await onRestore(document, { session, connection: document.constructor.db, visited });
+          }
+
+          await onDelete(document.constructor.modelName, document._id, {
+            softDelete: true,
+            _deleted: document._deleted,
+            session,
+            connection: document.constructor.db,
+            visited,
+            chain: document[chainSymbol],
+            document,
+          });
+        } catch (e) {
+          // Deleting was blocked
+          if (e instanceof RefConstraintError)
+            // Rollback then
+            document._deleted = false;
+          // Restoring was blocked
+          if (e instanceof SoftDeletedRefError) document._deleted = true;
+          throw e;
+        }
+      });
+
+      schema.post('save', commitTransaction);
+      schema.post('save', abortTransaction);
+    }
+  });
+}
+
+/**
+ * Apply the plugin on the schema and compile the model
+ * @param {String} modelName
+ * @param {mongoose.Schema} schema
+ * @param {mongoose.Connection} [connection] connection of the model (default: the connection of the mongoose instance)
+ * @returns {mongoose.Model}
+ */
+plugin.consistentModel = function (modelName, schema, connection) {
+  plugin(modelName, schema);
+  return getConnection(connection).model(modelName, schema);
+};
+
+/**
+ * Change the global options of the plugin
+ * @param {Object} options
+ * @param {mongoose} [options.mongoose] mongoose instance to use instead of the one required by the main module
+ * @param {'auto' | 'required' | false} [options.transactions] how to run the checks in a transaction (default false)
+ * @param {Boolean} [options.validateRefs] check that the referenced documents exist (default false)
+ * @param {Number} [options.cascadeBatchSize] children loaded at once by a cascade (default 100)
+ * @param {Number} [options.cascadeConcurrency] children deleted in parallel by a cascade (default 10)
+ * @param {'warn' | 'error' | false} [options.cascadeCycles] check the cycles of cascades when a schema is registered (default false)
+ * @param {Boolean} [options.collectBlockers] report every document blocking a delete, not only the first one (default false)
+ * @param {'keep' | 'unset' | 'hide'} [options.softDeleteSetNull] what happens to the not required refs on soft delete (default 'keep')
+ * @param {'block' | 'restoreParents' | false} [options.softDeleteRestore] what happens when restoring a document whose required parents are soft deleted (default 'block')
+ * @param {'log' | 'event' | 'error' | 'repair' | false} [options.danglingRefs] what to do with the refs that populate can't resolve (default false)
+ * @param {'warn' | 'create' | false} [options.checkIndexes] check that the refs are indexed when a model is compiled (default false)
+ * @returns {Function} the plugin
+ */
+plugin.configure = function (options) {
+  Object.assign(config, options);
+
+  // Every soft deletable model can be referenced in 'unset' mode now
+  if (config.softDeleteSetNull === 'unset')
+    for (const modelName of Object.keys(softDeleteSchemas))
+      for (const schema of softDeleteSchemas[modelName]) addUnsetRefsPath(schema, modelName);
+
+  return plugin;
+};
+
+plugin.events = events;
+plugin.previewDelete = previewDelete;
+plugin.deleteManyWithIntegrity = deleteManyWithIntegrity;
+plugin.getGraph = getGraph;
+plugin.exportGraph = exportGraph;
+plugin.findOrphans = findOrphans;
+plugin.repairOrphans = repairOrphans;
+plugin.checkIndexes = checkIndexes;
+plugin.watch = watch;
 
 plugin.RefConstraintError = RefConstraintError;
+plugin.MissingRefError = MissingRefError;
+plugin.SoftDeletedRefError = SoftDeletedRefError;
 module.exports = plugin;
@@ -1,7 +1,7 @@
 const assert = require('assert');
 const mongoose = require('mongoose');
 const referencesIntegrityChecker = require('..');
-const { RefConstraintError } = referencesIntegrityChecker;
+const { RefConstraintError, MissingRefError } = referencesIntegrityChecker;
 
 mongoose.connect('mongodb://root@localhost:27017/admin', {
   dbName: 'mongoose-references-integrity-checker',
@@ -30,8 +30,8 @@ describe('References - Simple', async function () {
   let parent, child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parent = await new HouseModel().save();
     child = await new RoomModel({ house: parent._id }).save();
@@ -101,8 +101,8 @@ describe('References - SingleNestedPath', async function () {
   let parent, child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parent = await new HouseModel().save();
     child = await new RoomModel({ nested: { house: parent._id } }).save();
@@ -176,8 +176,8 @@ describe('References - MultipleNestedPath', async function () {
   let parent, child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parent = await new HouseModel().save();
     child = await new RoomModel({ nested: { nested: { nested: { house: parent._id } } } }).save();
@@ -248,8 +248,8 @@ describe('References - Array of Refs', async function () {
     child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parents.push(await new HouseModel().save());
     parents.push(await new HouseModel().save());
@@ -334,8 +334,8 @@ describe('References - Array of Objects', async function () {
     child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parents.push(await new HouseModel().save());
     parents.push(await new HouseModel().save());
@@ -426,8 +426,8 @@ describe('References - Array of Single Nested Objects', async function () {
     child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parents.push(await new HouseModel().save());
     parents.push(await new HouseModel().save());
@@ -521,8 +521,8 @@ describe('References - Array of Multiple Nested Objects', async function () {
     child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parents.push(await new HouseModel().save());
     parents.push(await new HouseModel().save());
@@ -624,8 +624,8 @@ describe('References - Nested Arrays', async function () {
     child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parents.push(await new HouseModel().save());
     parents.push(await new HouseModel().save());
@@ -697,3 +697,1974 @@ describe('References - Nested Arrays', async function () {
     assert(child, "child's with no ref should exists");
   });
 });
+
+describe('References - Maps and Arrays of Arrays', async function () {
+  // User - N
+  const UserSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('UserMaps', UserSchema);
+  const UserModel = mongoose.model('UserMaps', UserSchema);
+
+  // Group - N
+  const GroupSchema = new mongoose.Schema({
+    tags: { type: Map, of: { type: mongoose.Schema.Types.ObjectId, ref: 'UserMaps' } },
+    teams: { type: Map, of: [{ type: mongoose.Schema.Types.ObjectId, ref: 'UserMaps' }] },
+    grid: [[{ type: mongoose.Schema.Types.ObjectId, ref: 'UserMaps' }]],
+    members: [{ users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'UserMaps' }] }],
+  });
+  referencesIntegrityChecker('GroupMaps', GroupSchema);
+  const GroupModel = mongoose.model('GroupMaps', GroupSchema);
+
+  let parents, child;
+
+  beforeEach(async function () {
+    await GroupModel.deleteMany({});
+    await UserModel.deleteMany({});
+
+    parents = [await new UserModel().save(), await new UserModel().save()];
+    child = await new GroupModel({
+      tags: { owner: parents[0]._id, admin: parents[1]._id },
+      teams: { red: [parents[0]._id, parents[1]._id] },
+      grid: [[parents[0]._id], [parents[1]._id, parents[0]._id]],
+      members: [{ users: [parents[0]._id] }, { users: [parents[1]._id] }],
+    }).save();
+  });
+
+  it('refs are discovered', function () {
+    const paths = referencesIntegrityChecker.getGraph().UserMaps.map(({ pathRef }) => pathRef);
+    assert.deepStrictEqual(paths.sort(), ['grid', 'members.users', 'tags.$*', 'teams.$*']);
+  });
+
+  it('ref is not required, deleteOne ---> should remove the refs from the maps and the arrays', async function () {
+    await parents[0].deleteOne();
+
+    child = await GroupModel.findById(child._id);
+    assert(!child.tags.has('owner'), 'map entry should be removed');
+    assert(child.tags.get('admin').equals(parents[1]._id), 'other map entries should be kept');
+    assert.deepStrictEqual(child.teams.get('red').map(String), [String(parents[1]._id)]);
+    assert.deepStrictEqual(
+      child.grid.map((row) => row.map(String)),
+      [[], [String(parents[1]._id)]]
+    );
+    assert.deepStrictEqual(
+      child.members.map((member) => member.users.map(String)),
+      [[], [String(parents[1]._id)]]
+    );
+  });
+
+  it('ref is required, block deleteOne ---> should throw RefConstraintError', async function () {
+    GroupSchema.path('tags.$*').required = true;
+
+    try {
+      await parents[0].deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+      assert.strictEqual(e.options.pathRef, 'tags.$*');
+      assert(e.options.whoIsBlocking.equals(child._id));
+    } finally {
+      GroupSchema.path('tags.$*').required = false;
+    }
+  });
+
+  it('referencing a missing document ---> should throw MissingRefError', async function () {
+    referencesIntegrityChecker.configure({ validateRefs: true });
+
+    try {
+      await new GroupModel({ grid: [[new mongoose.Types.ObjectId()]] }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof MissingRefError)) throw e;
+    } finally {
+      referencesIntegrityChecker.configure({ validateRefs: false });
+    }
+  });
+});
+
+describe('References - Query Middleware', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({ name: String });
+  referencesIntegrityChecker('HouseQuery', HouseSchema);
+  const HouseModel = mongoose.model('HouseQuery', HouseSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseQuery',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('RoomQuery', RoomSchema);
+  const RoomModel = mongoose.model('RoomQuery', RoomSchema);
+
+  let parents, children;
+
+  beforeEach(async function () {
+    await HouseModel.collection.deleteMany({});
+    await RoomModel.collection.deleteMany({});
+
+    parents = [
+      await new HouseModel({ name: 'a' }).save(),
+      await new HouseModel({ name: 'a' }).save(),
+      await new HouseModel({ name: 'b' }).save(),
+    ];
+    children = [
+      await new RoomModel({ house: parents[0]._id }).save(),
+      await new RoomModel({ house: parents[1]._id }).save(),
+      await new RoomModel({ house: parents[2]._id }).save(),
+    ];
+  });
+
+  it('ref is required, block deleteMany ---> should throw RefConstraintError and delete nothing', async function () {
+    RoomSchema.path('house').required = true;
+    RoomSchema.path('house').cascade = false;
+
+    try {
+      await HouseModel.deleteMany({ name: 'a' });
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert((await HouseModel.countDocuments({ name: 'a' })) === 2, 'parents should exists');
+    assert((await RoomModel.countDocuments({})) === 3, 'children should exists');
+  });
+
+  it('ref is not required, deleteMany ---> should delete the parents and set null the refs of their children', async function () {
+    RoomSchema.path('house').required = false;
+
+    await HouseModel.deleteMany({ name: 'a' });
+    assert(!(await HouseModel.countDocuments({ name: 'a' })), "parents shouldn't exists");
+
+    assert(!(await RoomModel.findById(children[0]._id)).house, "child's ref should be null");
+    assert(!(await RoomModel.findById(children[1]._id)).house, "child's ref should be null");
+    assert(
+      (await RoomModel.findById(children[2]._id)).house.equals(parents[2]._id),
+      "child's ref to other parent should be there"
+    );
+  });
+
+  it('ref is required, deleteMany cascade ---> should delete the parents and their children', async function () {
+    RoomSchema.path('house').required = true;
+    RoomSchema.path('house').cascade = true;
+
+    await HouseModel.deleteMany({ name: 'a' });
+    assert(!(await HouseModel.countDocuments({ name: 'a' })), "parents shouldn't exists");
+
+    assert(!(await RoomModel.findById(children[0]._id)), "child shouldn't exists");
+    assert(!(await RoomModel.findById(children[1]._id)), "child shouldn't exists");
+    assert(await RoomModel.findById(children[2]._id), 'child of other parent should exists');
+  });
+
+  it('ref is required, block findByIdAndDelete ---> should throw RefConstraintError', async function () {
+    RoomSchema.path('house').required = true;
+    RoomSchema.path('house').cascade = false;
+
+    try {
+      await HouseModel.findByIdAndDelete(parents[0]._id);
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await HouseModel.findById(parents[0]._id), 'parent should exists');
+  });
+
+  it('ref is required, findOneAndDelete cascade ---> should delete only the matched parent and his children', async function () {
+    RoomSchema.path('house').required = true;
+    RoomSchema.path('house').cascade = true;
+
+    await HouseModel.findOneAndDelete({ name: 'a' }, { sort: { _id: -1 } });
+
+    assert(await HouseModel.findById(parents[0]._id), 'first parent should exists');
+    assert(!(await HouseModel.findById(parents[1]._id)), "matched parent shouldn't exists");
+    assert(await RoomModel.findById(children[0]._id), 'child of first parent should exists');
+    assert(!(await RoomModel.findById(children[1]._id)), "child shouldn't exists");
+  });
+
+  it('ref is required, block deleteOne by filter ---> should throw RefConstraintError', async function () {
+    RoomSchema.path('house').required = true;
+    RoomSchema.path('house').cascade = false;
+
+    try {
+      await HouseModel.deleteOne({ name: 'b' });
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await HouseModel.findById(parents[2]._id), 'parent should exists');
+    assert(await RoomModel.findById(children[2]._id), 'child should exists');
+  });
+
+  it('ref is required, deleteOne cascade by $in filter ---> should delete only one parent and his children', async function () {
+    RoomSchema.path('house').required = true;
+    RoomSchema.path('house').cascade = true;
+
+    await HouseModel.deleteOne({ _id: { $in: [parents[0]._id, parents[1]._id] } });
+
+    assert((await HouseModel.countDocuments({ name: 'a' })) === 1, 'one parent should exists');
+    assert((await RoomModel.countDocuments({})) === 2, 'only one child should be deleted');
+
+    const deletedParent = (await HouseModel.findById(parents[0]._id)) ? parents[1] : parents[0];
+    assert(!(await RoomModel.findOne({ house: deletedParent._id })), "child shouldn't exists");
+  });
+
+  it('ref is not required, deleteOne by operator _id filter ---> should set null the ref of the child', async function () {
+    RoomSchema.path('house').required = false;
+
+    await HouseModel.deleteOne({ _id: { $eq: parents[2]._id } });
+
+    assert(!(await HouseModel.findById(parents[2]._id)), "parent shouldn't exists");
+    assert(!(await RoomModel.findById(children[2]._id)).house, "child's ref should be null");
+  });
+
+  it('ref is not required, findOneAndRemove ---> should delete the parent and set null the ref of his child', async function () {
+    RoomSchema.path('house').required = false;
+
+    await HouseModel.findOneAndRemove({ name: 'b' });
+
+    assert(!(await HouseModel.findById(parents[2]._id)), "parent shouldn't exists");
+    assert(!(await RoomModel.findById(children[2]._id)).house, "child's ref should be null");
+  });
+
+  it('model not referenced, deleteMany ---> should run only the delete', async function () {
+    const roomQueries = [];
+    mongoose.set('debug', (collectionName, method) => {
+      if (collectionName === RoomModel.collection.name) roomQueries.push(method);
+    });
+
+    try {
+      await RoomModel.deleteMany({ house: parents[0]._id });
+    } finally {
+      mongoose.set('debug', false);
+    }
+
+    assert.deepStrictEqual(roomQueries, ['deleteMany'], 'the ids should not be resolved');
+    assert(!(await RoomModel.findById(children[0]._id)), "child shouldn't exists");
+  });
+});
+
+describe('References - Existence', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseExistence', HouseSchema);
+  const HouseModel = mongoose.model('HouseExistence', HouseSchema);
+
+  // Street - N
+  const StreetSchema = new mongoose.Schema({
+    houses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HouseExistence',
+      },
+    ],
+  });
+  referencesIntegrityChecker('StreetExistence', StreetSchema);
+  const StreetModel = mongoose.model('StreetExistence', StreetSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    nested: {
+      house: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HouseExistence',
+      },
+    },
+  });
+  referencesIntegrityChecker('RoomExistence', RoomSchema);
+  const RoomModel = mongoose.model('RoomExistence', RoomSchema);
+
+  // City - N
+  const CitySchema = new mongoose.Schema({
+    districts: [
+      {
+        house: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'HouseExistence',
+        },
+      },
+    ],
+  });
+  referencesIntegrityChecker('CityExistence', CitySchema);
+  const CityModel = mongoose.model('CityExistence', CitySchema);
+
+  let parent;
+  const missingId = new mongoose.Types.ObjectId();
+
+  async function assertMissingRef(operation, pathRef) {
+    try {
+      await operation();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof MissingRefError)) throw e;
+      assert(e.options.pathRef === pathRef, 'error should name the path');
+      assert(e.options.missingId.equals(missingId), 'error should name the missing id');
+    }
+  }
+
+  before(async function () {
+    await RoomModel.deleteMany({});
+    await StreetModel.deleteMany({});
+    await CityModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    referencesIntegrityChecker.configure({ validateRefs: true });
+    parent = await new HouseModel().save();
+  });
+
+  after(function () {
+    referencesIntegrityChecker.configure({ validateRefs: false });
+  });
+
+  it('ref to missing document, save ---> should throw MissingRefError', async function () {
+    await new RoomModel({ nested: { house: parent._id } }).save();
+    await assertMissingRef(
+      () => new RoomModel({ nested: { house: missingId } }).save(),
+      'nested.house'
+    );
+  });
+
+  it('array of refs with a missing document, save ---> should throw MissingRefError', async function () {
+    await new StreetModel({ houses: [parent._id] }).save();
+    await assertMissingRef(
+      () => new StreetModel({ houses: [parent._id, missingId] }).save(),
+      'houses'
+    );
+  });
+
+  it('document array with a missing document, save ---> should throw MissingRefError', async function () {
+    await new CityModel({ districts: [{ house: parent._id }] }).save();
+    await assertMissingRef(
+      () => new CityModel({ districts: [{ house: parent._id }, { house: missingId }] }).save(),
+      'districts.house'
+    );
+  });
+
+  it('ref to missing document, insertMany ---> should throw MissingRefError', async function () {
+    await assertMissingRef(
+      () =>
+        RoomModel.insertMany([{ nested: { house: parent._id } }, { nested: { house: missingId } }]),
+      'nested.house'
+    );
+  });
+
+  it('ref to missing document, updates ---> should throw MissingRefError', async function () {
+    const room = await new RoomModel({ nested: { house: parent._id } }).save();
+    const street = await new StreetModel({ houses: [parent._id] }).save();
+    const city = await new CityModel({ districts: [{ house: parent._id }] }).save();
+
+    await assertMissingRef(
+      () => RoomModel.updateOne({ _id: room._id }, { 'nested.house': missingId }),
+      'nested.house'
+    );
+    await assertMissingRef(
+      () => StreetModel.updateMany({ _id: street._id }, { $push: { houses: missingId } }),
+      'houses'
+    );
+    await assertMissingRef(
+      () =>
+        CityModel.findOneAndUpdate(
+          { _id: city._id },
+          { $set: { 'districts.0.house': missingId } }
+        ),
+      'districts.house'
+    );
+
+    assert(
+      (await RoomModel.findById(room._id)).nested.house.equals(parent._id),
+      'ref should not be updated'
+    );
+  });
+});
+
+describe('References - Orphans', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseOrphans', HouseSchema);
+  const HouseModel = mongoose.model('HouseOrphans', HouseSchema);
+
+  // Street - N (not required)
+  const StreetSchema = new mongoose.Schema({
+    houses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HouseOrphans',
+        required: false,
+      },
+    ],
+  });
+  referencesIntegrityChecker('StreetOrphans', StreetSchema);
+  const StreetModel = mongoose.model('StreetOrphans', StreetSchema);
+
+  // Room - N (required and cascade)
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseOrphans',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('RoomOrphans', RoomSchema);
+  const RoomModel = mongoose.model('RoomOrphans', RoomSchema);
+
+  // Garden - N (required)
+  const GardenSchema = new mongoose.Schema({
+    nested: {
+      house: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HouseOrphans',
+        required: true,
+      },
+    },
+  });
+  referencesIntegrityChecker('GardenOrphans', GardenSchema);
+  const GardenModel = mongoose.model('GardenOrphans', GardenSchema);
+
+  let parents, street, room, garden;
+
+  before(async function () {
+    await StreetModel.deleteMany({});
+    await RoomModel.deleteMany({});
+    await GardenModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    parents = [await new HouseModel().save(), await new HouseModel().save()];
+    street = await new StreetModel({ houses: [parents[0]._id, parents[1]._id] }).save();
+    room = await new RoomModel({ house: parents[0]._id }).save();
+    garden = await new GardenModel({ nested: { house: parents[0]._id } }).save();
+
+    // Delete bypassing the middleware, leaving dangling refs
+    await HouseModel.collection.deleteOne({ _id: parents[0]._id });
+  });
+
+  it('findOrphans ---> should report every document referencing the missing parent', async function () {
+    const orphans = (await referencesIntegrityChecker.findOrphans()).filter(
+      (orphan) => orphan.modelName === 'HouseOrphans'
+    );
+
+    assert(orphans.length === 3, 'should find 3 orphans');
+    for (const [modelRef, pathRef, documentId, action] of [
+      ['StreetOrphans', 'houses', street._id, 'setNull'],
+      ['RoomOrphans', 'house', room._id, 'delete'],
+      ['GardenOrphans', 'nested.house', garden._id, 'report'],
+    ])
+      assert(
+        orphans.find(
+          (orphan) =>
+            orphan.modelRef === modelRef &&
+            orphan.pathRef === pathRef &&
+            orphan.documentId.equals(documentId) &&
+            orphan.missingId.equals(parents[0]._id) &&
+            orphan.action === action
+        ),
+        `should report ${modelRef}.${pathRef}`
+      );
+  });
+
+  it('repairOrphans dry run ---> should not change anything', async function () {
+    const orphans = await referencesIntegrityChecker.repairOrphans({ dryRun: true });
+    assert(orphans.length >= 3, 'should report the orphans');
+
+    assert((await StreetModel.findById(street._id)).houses.length === 2, 'ref should be there');
+    assert(await RoomModel.findById(room._id), 'child should exists');
+  });
+
+  it('repairOrphans ---> should apply the policy of each ref', async function () {
+    await referencesIntegrityChecker.repairOrphans();
+
+    const repairedStreet = await StreetModel.findById(street._id);
+    assert(repairedStreet.houses.length === 1, 'missing ref should be pulled');
+    assert(repairedStreet.houses[0].equals(parents[1]._id), 'existing ref should be there');
+
+    assert(!(await RoomModel.findById(room._id)), "cascade child shouldn't exists");
+    assert(
+      (await GardenModel.findById(garden._id)).nested.house.equals(parents[0]._id),
+      'required ref should be only reported'
+    );
+  });
+});
+
+describe('References - Preview Delete', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HousePreview', HouseSchema);
+  const HouseModel = mongoose.model('HousePreview', HouseSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HousePreview',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('RoomPreview', RoomSchema);
+  const RoomModel = mongoose.model('RoomPreview', RoomSchema);
+
+  // Garden - N
+  const GardenSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HousePreview',
+      required: false,
+    },
+  });
+  referencesIntegrityChecker('GardenPreview', GardenSchema);
+  const GardenModel = mongoose.model('GardenPreview', GardenSchema);
+
+  // Furniture - N
+  const FurnitureSchema = new mongoose.Schema({
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomPreview',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('FurniturePreview', FurnitureSchema);
+  const FurnitureModel = mongoose.model('FurniturePreview', FurnitureSchema);
+
+  // Key - N (deleted on cascade, and blocking through another path)
+  const KeySchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HousePreview',
+      required: true,
+      cascade: true,
+    },
+    backupHouse: { type: mongoose.Schema.Types.ObjectId, ref: 'HousePreview', required: true },
+  });
+  referencesIntegrityChecker('KeyPreview', KeySchema);
+  const KeyModel = mongoose.model('KeyPreview', KeySchema);
+
+  let parent, children, garden, furniture;
+
+  before(async function () {
+    await KeyModel.deleteMany({});
+    await FurnitureModel.deleteMany({});
+    await RoomModel.deleteMany({});
+    await GardenModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    parent = await new HouseModel().save();
+    children = [
+      await new RoomModel({ house: parent._id }).save(),
+      await new RoomModel({ house: parent._id }).save(),
+    ];
+    garden = await new GardenModel({ house: parent._id }).save();
+    furniture = await new FurnitureModel({ room: children[1]._id }).save();
+  });
+
+  it('previewDelete ---> should return the tree of the affected documents without writing', async function () {
+    const preview = await HouseModel.previewDelete(parent._id);
+
+    assert(preview.modelName === 'HousePreview' && preview.action === 'delete', 'root should be the parent');
+    assert(preview.blocked, 'delete should be blocked by the furniture');
+
+    const rooms = preview.children.find((child) => child.modelName === 'RoomPreview');
+    assert(rooms.action === 'cascade' && rooms.path === 'house', 'rooms should be cascaded');
+    assert(rooms.documentIds.length === 2, 'both rooms should be cascaded');
+    assert(rooms.blocked, 'rooms should be blocked');
+
+    const furnitures = rooms.children.find((child) => child.modelName === 'FurniturePreview');
+    assert(furnitures.action === 'block', 'furniture should block');
+    assert(furnitures.documentIds[0].equals(furniture._id), 'furniture should be the blocking one');
+
+    const gardens = preview.children.find((child) => child.modelName === 'GardenPreview');
+    assert(gardens.action === 'setNull', 'garden ref should be unset');
+    assert(gardens.documentIds[0].equals(garden._id), 'garden should be affected');
+
+    assert(await HouseModel.findById(parent._id), 'parent should exists');
+    assert((await RoomModel.countDocuments({ house: parent._id })) === 2, 'children should exists');
+    assert((await GardenModel.findById(garden._id)).house.equals(parent._id), 'ref should be there');
+  });
+
+  it('previewDelete without blocking documents ---> should not be blocked', async function () {
+    await furniture.deleteOne();
+
+    const preview = await referencesIntegrityChecker.previewDelete(HouseModel, parent._id);
+    assert(!preview.blocked, "delete shouldn't be blocked");
+  });
+
+  it('previewDelete with a child deleted on cascade through another path ---> should not be blocked', async function () {
+    const key = await new KeyModel({ house: parent._id, backupHouse: parent._id }).save();
+
+    const preview = await HouseModel.previewDelete(parent._id);
+    assert(!preview.blocked, "delete shouldn't be blocked");
+
+    const keys = preview.children.filter((child) => child.modelName === 'KeyPreview');
+    assert.deepStrictEqual(
+      keys.map(({ path, action }) => `${path} ${action}`),
+      ['house cascade'],
+      'key should only be cascaded'
+    );
+    assert(keys[0].documentIds[0].equals(key._id), 'key should be affected');
+  });
+});
+
+describe('References - Batched Cascade', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseBatched', HouseSchema);
+  const HouseModel = mongoose.model('HouseBatched', HouseSchema);
+
+  // Room - N (referenced by furniture, deleted one by one)
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseBatched',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('RoomBatched', RoomSchema);
+  const RoomModel = mongoose.model('RoomBatched', RoomSchema);
+
+  // Furniture - N (not referenced, deleted all at once)
+  const FurnitureSchema = new mongoose.Schema({
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomBatched',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('FurnitureBatched', FurnitureSchema);
+  const FurnitureModel = mongoose.model('FurnitureBatched', FurnitureSchema);
+
+  let parent;
+
+  before(async function () {
+    await FurnitureModel.deleteMany({});
+    await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    referencesIntegrityChecker.configure({ cascadeBatchSize: 2, cascadeConcurrency: 2 });
+
+    parent = await new HouseModel().save();
+    for (let i = 0; i < 7; i++) {
+      const room = await new RoomModel({ house: parent._id }).save();
+      await new FurnitureModel({ room: room._id }).save();
+      await new FurnitureModel({ room: room._id }).save();
+    }
+  });
+
+  after(function () {
+    referencesIntegrityChecker.configure({ cascadeBatchSize: 100, cascadeConcurrency: 10 });
+  });
+
+  it('ref is required, deleteOne cascade on many children ---> should delete all of them in batches', async function () {
+    const roomQueries = [];
+    const furnitureQueries = [];
+    mongoose.set('debug', (collectionName, method, filter, options) => {
+      if (collectionName === RoomModel.collection.name)
+        roomQueries.push(method === 'find' ? `find (batchSize ${options.batchSize})` : method);
+      if (collectionName === FurnitureModel.collection.name) furnitureQueries.push(method);
+    });
+
+    try {
+      await parent.deleteOne();
+    } finally {
+      mongoose.set('debug', false);
+    }
+
+    assert.deepStrictEqual(
+      roomQueries,
+      ['find (batchSize 2)', ...new Array(7).fill('deleteOne')],
+      'children should be streamed by batches and deleted one by one'
+    );
+    assert.deepStrictEqual(
+      furnitureQueries,
+      new Array(7).fill('deleteMany'),
+      'children of children should be deleted with a single query for each child, without loading them'
+    );
+    assert(!(await HouseModel.findById(parent._id)), "parent shouldn't exists");
+    assert(!(await RoomModel.countDocuments({})), "children shouldn't exists");
+    assert(!(await FurnitureModel.countDocuments({})), "children of children shouldn't exists");
+  });
+});
+
+describe('References - Dynamic Refs (refPath)', async function () {
+  // Post - 1
+  const PostSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('PostRefPath', PostSchema);
+  const PostModel = mongoose.model('PostRefPath', PostSchema);
+
+  // Video - 1
+  const VideoSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('VideoRefPath', VideoSchema);
+  const VideoModel = mongoose.model('VideoRefPath', VideoSchema);
+
+  // Comment - N
+  const CommentSchema = new mongoose.Schema({
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'targetModel',
+      required: false,
+    },
+    targetModel: {
+      type: String,
+      enum: ['PostRefPath', 'VideoRefPath'],
+    },
+    mentions: [
+      {
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          refPath: 'mentions.kind',
+          refPathModels: ['PostRefPath', 'VideoRefPath'],
+          required: true,
+          cascade: true,
+        },
+        kind: String,
+      },
+    ],
+  });
+  referencesIntegrityChecker('CommentRefPath', CommentSchema);
+  const CommentModel = mongoose.model('CommentRefPath', CommentSchema);
+
+  let post, video;
+
+  beforeEach(async function () {
+    await CommentModel.deleteMany({});
+    await PostModel.deleteMany({});
+    await VideoModel.deleteMany({});
+
+    post = await new PostModel().save();
+    // Same id on purpose: only the refPath tells them apart
+    video = await new VideoModel({ _id: post._id }).save();
+  });
+
+  it('dynamic ref is not required, deleteOne ---> should set null only the refs pointing to the deleted model', async function () {
+    const commentOnPost = await new CommentModel({
+      target: post._id,
+      targetModel: 'PostRefPath',
+    }).save();
+    const commentOnVideo = await new CommentModel({
+      target: video._id,
+      targetModel: 'VideoRefPath',
+    }).save();
+
+    await post.deleteOne();
+
+    assert(!(await CommentModel.findById(commentOnPost._id)).target, "ref to post should be null");
+    assert(
+      (await CommentModel.findById(commentOnVideo._id)).target.equals(video._id),
+      'ref to video should be there'
+    );
+  });
+
+  it('dynamic ref in document array is required, deleteOne cascade ---> should delete only the documents pointing to the deleted model', async function () {
+    const commentOnPost = await new CommentModel({
+      mentions: [{ item: post._id, kind: 'PostRefPath' }],
+    }).save();
+    const commentOnVideo = await new CommentModel({
+      mentions: [{ item: video._id, kind: 'VideoRefPath' }],
+    }).save();
+
+    await video.deleteOne();
+
+    assert(await CommentModel.findById(commentOnPost._id), 'comment on post should exists');
+    assert(!(await CommentModel.findById(commentOnVideo._id)), "comment on video shouldn't exists");
+  });
+
+  it('dynamic ref to missing document, save ---> should throw MissingRefError', async function () {
+    await video.deleteOne();
+    referencesIntegrityChecker.configure({ validateRefs: true });
+
+    try {
+      await new CommentModel({ target: post._id, targetModel: 'VideoRefPath' }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof MissingRefError)) throw e;
+      assert(e.options.modelName === 'VideoRefPath', 'error should name the referenced model');
+    } finally {
+      referencesIntegrityChecker.configure({ validateRefs: false });
+    }
+  });
+});
+
+describe('References - Ref as Function or Model', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseRefFunction', HouseSchema);
+  const HouseModel = mongoose.model('HouseRefFunction', HouseSchema);
+
+  // Garden - N (ref as model)
+  const GardenSchema = new mongoose.Schema({
+    houses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: HouseModel,
+        required: false,
+      },
+    ],
+  });
+  referencesIntegrityChecker('GardenRefFunction', GardenSchema);
+  const GardenModel = mongoose.model('GardenRefFunction', GardenSchema);
+
+  // Room - N (ref as function)
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: () => 'HouseRefFunction',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('RoomRefFunction', RoomSchema);
+  const RoomModel = mongoose.model('RoomRefFunction', RoomSchema);
+
+  let parent, room, garden;
+
+  before(async function () {
+    await RoomModel.deleteMany({});
+    await GardenModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    parent = await new HouseModel().save();
+    room = await new RoomModel({ house: parent._id }).save();
+    garden = await new GardenModel({ houses: [parent._id] }).save();
+  });
+
+  it('ref as function is required, block deleteOne ---> should throw RefConstraintError', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await HouseModel.findById(parent._id), 'parent should exists');
+  });
+
+  it('ref as model is not required, deleteOne ---> should pull the ref from the array of the child', async function () {
+    await room.deleteOne();
+    await parent.deleteOne();
+
+    assert(!(await HouseModel.findById(parent._id)), "parent shouldn't exists");
+    assert(!(await GardenModel.findById(garden._id)).houses.length, 'ref should be pulled');
+  });
+
+  it('ref as function depending on the document ---> should warn once', async function () {
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning.message);
+    process.on('warning', onWarning);
+
+    try {
+      // Toy - N (ref resolved by populate with the document)
+      const ToySchema = new mongoose.Schema({
+        kind: String,
+        owner: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: function () {
+            return this.kind;
+          },
+        },
+      });
+      referencesIntegrityChecker('ToyRefFunction', ToySchema);
+      mongoose.model('ToyRefFunction', ToySchema);
+
+      referencesIntegrityChecker.getGraph();
+      referencesIntegrityChecker.getGraph();
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      process.removeListener('warning', onWarning);
+    }
+
+    assert.strictEqual(
+      warnings.filter((message) => message.includes('ToyRefFunction.owner')).length,
+      1,
+      'the ref should be reported once'
+    );
+  });
+});
+
+describe('References - onDelete Policies', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HousePolicy', HouseSchema);
+  const HouseModel = mongoose.model('HousePolicy', HouseSchema);
+
+  let fallback;
+  const deletedIds = [];
+
+  // Room - N (every policy on a path)
+  const RoomSchema = new mongoose.Schema({
+    restricted: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HousePolicy',
+      onDelete: 'restrict',
+    },
+    reassigned: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HousePolicy',
+      onDelete: 'setDefault',
+      default: () => fallback._id,
+    },
+    kept: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HousePolicy',
+      onDelete: 'noAction',
+    },
+    handled: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HousePolicy',
+      onDelete: async (Model, path, deletedId) => {
+        deletedIds.push(String(deletedId));
+        await Model.updateMany({ [path]: deletedId }, { $unset: { [path]: 1 } });
+      },
+    },
+  });
+  referencesIntegrityChecker('RoomPolicy', RoomSchema);
+  const RoomModel = mongoose.model('RoomPolicy', RoomSchema);
+
+  let parent;
+
+  beforeEach(async function () {
+    await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    fallback = await new HouseModel().save();
+    parent = await new HouseModel().save();
+    deletedIds.length = 0;
+  });
+
+  it('onDelete restrict, deleteOne ---> should throw RefConstraintError', async function () {
+    await new RoomModel({ restricted: parent._id }).save();
+
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await HouseModel.findById(parent._id), 'parent should exists');
+  });
+
+  it('onDelete setDefault, deleteOne ---> should set the default value on the child', async function () {
+    const room = await new RoomModel({ reassigned: parent._id }).save();
+
+    await parent.deleteOne();
+
+    const updatedRoom = await RoomModel.findById(room._id);
+    assert(updatedRoom.reassigned.equals(fallback._id), 'child should reference the fallback');
+  });
+
+  it('onDelete noAction, deleteOne ---> should throw RefConstraintError', async function () {
+    const room = await new RoomModel({ kept: parent._id }).save();
+
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+      assert.strictEqual(e.options.pathRef, 'kept');
+    }
+
+    assert(await HouseModel.findById(parent._id), 'parent should exists');
+    assert((await RoomModel.findById(room._id)).kept.equals(parent._id), 'ref should be kept');
+  });
+
+  it('onDelete custom handler, deleteMany ---> should call the handler with each deleted id', async function () {
+    const room = await new RoomModel({ handled: parent._id }).save();
+
+    await HouseModel.deleteMany({});
+
+    assert(deletedIds.length === 2, 'handler should be called for each deleted id');
+    assert(deletedIds.includes(String(parent._id)), 'handler should receive the deleted id');
+    assert(!(await RoomModel.findById(room._id)).handled, 'ref should be unset by the handler');
+  });
+});
+
+describe('References - Multiple Connections', async function () {
+  // Models are compiled only on the connections of the tenants
+  const tenantA = mongoose.connection.useDb('mongoose-references-integrity-checker-tenant-a');
+  const tenantB = mongoose.connection.useDb('mongoose-references-integrity-checker-tenant-b');
+
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseTenant', HouseSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseTenant',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('RoomTenant', RoomSchema);
+
+  const HouseModelA = tenantA.model('HouseTenant', HouseSchema);
+  const RoomModelA = tenantA.model('RoomTenant', RoomSchema);
+  const HouseModelB = tenantB.model('HouseTenant', HouseSchema);
+  const RoomModelB = tenantB.model('RoomTenant', RoomSchema);
+
+  let parentA, parentB, childA, childB;
+
+  beforeEach(async function () {
+    for (const model of [RoomModelA, RoomModelB, HouseModelA, HouseModelB])
+      await model.deleteMany({});
+
+    parentA = await new HouseModelA().save();
+    parentB = await new HouseModelB({ _id: parentA._id }).save();
+    childA = await new RoomModelA({ house: parentA._id }).save();
+    childB = await new RoomModelB({ house: parentB._id }).save();
+  });
+
+  it('deleteOne on a tenant ---> should cascade only on the connection of the tenant', async function () {
+    await parentA.deleteOne();
+
+    assert(!(await RoomModelA.findById(childA._id)), "child of tenant A shouldn't exists");
+    assert(await RoomModelB.findById(childB._id), 'child of tenant B should exists');
+  });
+
+  it('deleteMany on a tenant ---> should cascade only on the connection of the tenant', async function () {
+    await HouseModelB.deleteMany({});
+
+    assert(await RoomModelA.findById(childA._id), 'child of tenant A should exists');
+    assert(!(await RoomModelB.findById(childB._id)), "child of tenant B shouldn't exists");
+  });
+
+  it('ref to a document of another tenant, save ---> should throw MissingRefError', async function () {
+    const otherParent = await new HouseModelA().save();
+    referencesIntegrityChecker.configure({ validateRefs: true });
+
+    try {
+      await new RoomModelB({ house: otherParent._id }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof MissingRefError)) throw e;
+    } finally {
+      referencesIntegrityChecker.configure({ validateRefs: false });
+    }
+  });
+
+  it('findOrphans on a connection ---> should check only the models of the connection', async function () {
+    await HouseModelA.collection.deleteOne({ _id: parentA._id });
+
+    assert((await referencesIntegrityChecker.findOrphans({ connection: tenantA })).length === 1);
+    assert(!(await referencesIntegrityChecker.findOrphans({ connection: tenantB })).length);
+  });
+
+  it('checkIndexes on a connection ---> should check only the models compiled on the connection', async function () {
+    const missingIndexes = await referencesIntegrityChecker.checkIndexes({ connection: tenantA });
+
+    assert.deepStrictEqual(
+      missingIndexes.map(({ modelRef, pathRef }) => `${modelRef}.${pathRef}`),
+      ['RoomTenant.house']
+    );
+    assert(!tenantA.models.House, "models of the default connection shouldn't be compiled on the tenant");
+  });
+
+  it('only the parent model compiled on a tenant, deleteOne ---> should cascade on the tenant', async function () {
+    // Models of the mongoose instance, compiled on the tenant when first used
+    const LazyHouseSchema = new mongoose.Schema({});
+    referencesIntegrityChecker('HouseLazyTenant', LazyHouseSchema);
+    mongoose.model('HouseLazyTenant', LazyHouseSchema);
+
+    const LazyRoomSchema = new mongoose.Schema({
+      house: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HouseLazyTenant',
+        required: true,
+        cascade: true,
+      },
+    });
+    referencesIntegrityChecker('RoomLazyTenant', LazyRoomSchema);
+    const RoomModel = mongoose.model('RoomLazyTenant', LazyRoomSchema);
+
+    const tenantC = mongoose.connection.useDb('mongoose-references-integrity-checker-tenant-c');
+    const HouseModelC = tenantC.model('HouseLazyTenant');
+    const rooms = tenantC.collection(RoomModel.collection.name);
+
+    await HouseModelC.deleteMany({});
+    await rooms.deleteMany({});
+
+    const parent = await new HouseModelC().save();
+    const { insertedId } = await rooms.insertOne({ house: parent._id });
+    assert(!tenantC.models.RoomLazyTenant, "child model shouldn't be compiled on the tenant yet");
+
+    await parent.deleteOne();
+
+    assert(!(await rooms.findOne({ _id: insertedId })), "child of tenant C shouldn't exists");
+  });
+});
+
+describe('References - Discriminators', async function () {
+  // Garage - 1
+  const GarageSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('GarageDiscriminator', GarageSchema);
+  const GarageModel = mongoose.model('GarageDiscriminator', GarageSchema);
+
+  // Vehicle - base model
+  const VehicleSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('VehicleDiscriminator', VehicleSchema);
+  const VehicleModel = mongoose.model('VehicleDiscriminator', VehicleSchema);
+
+  // Car - N (ref added by the discriminator)
+  const CarModel = VehicleModel.discriminator(
+    'CarDiscriminator',
+    new mongoose.Schema({
+      garage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GarageDiscriminator',
+        required: true,
+        cascade: true,
+      },
+    })
+  );
+
+  // Bike - N (same path, another policy)
+  const BikeModel = VehicleModel.discriminator(
+    'BikeDiscriminator',
+    new mongoose.Schema({
+      garage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GarageDiscriminator',
+        required: false,
+      },
+    })
+  );
+
+  // Helmet - N (ref to a discriminator)
+  const HelmetSchema = new mongoose.Schema({
+    bike: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BikeDiscriminator',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('HelmetDiscriminator', HelmetSchema);
+  const HelmetModel = mongoose.model('HelmetDiscriminator', HelmetSchema);
+
+  // Parking - N (ref to the base model)
+  const ParkingSchema = new mongoose.Schema({
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VehicleDiscriminator',
+      required: false,
+    },
+  });
+  referencesIntegrityChecker('ParkingDiscriminator', ParkingSchema);
+  const ParkingModel = mongoose.model('ParkingDiscriminator', ParkingSchema);
+
+  // Fleet - 1
+  const FleetSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('FleetDiscriminator', FleetSchema);
+  const FleetModel = mongoose.model('FleetDiscriminator', FleetSchema);
+
+  // Truck - N (ref of the base model)
+  const TruckSchema = new mongoose.Schema({
+    fleet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FleetDiscriminator',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('TruckDiscriminator', TruckSchema);
+  const TruckModel = mongoose.model('TruckDiscriminator', TruckSchema);
+  const TankerModel = TruckModel.discriminator('TankerDiscriminator', new mongoose.Schema({}));
+
+  // Driver - N (ref to a discriminator of Truck)
+  const DriverSchema = new mongoose.Schema({
+    tanker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TankerDiscriminator',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('DriverDiscriminator', DriverSchema);
+  const DriverModel = mongoose.model('DriverDiscriminator', DriverSchema);
+
+  let garage, car, bike;
+
+  beforeEach(async function () {
+    await HelmetModel.deleteMany({});
+    await ParkingModel.deleteMany({});
+    await VehicleModel.collection.deleteMany({});
+    await GarageModel.deleteMany({});
+
+    garage = await new GarageModel().save();
+    car = await new CarModel({ garage: garage._id }).save();
+    bike = await new BikeModel({ garage: garage._id }).save();
+  });
+
+  it('ref of a discriminator, deleteOne ---> should apply the policy of each discriminator', async function () {
+    await garage.deleteOne();
+
+    assert(!(await CarModel.findById(car._id)), "car shouldn't exists");
+    assert(await BikeModel.findById(bike._id), 'bike should exists');
+    assert(!(await BikeModel.findById(bike._id)).garage, 'garage of the bike should be unset');
+  });
+
+  it('ref to a discriminator, deleteOne ---> should throw RefConstraintError', async function () {
+    await new HelmetModel({ bike: bike._id }).save();
+
+    try {
+      await bike.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await BikeModel.findById(bike._id), 'bike should exists');
+  });
+
+  it('ref to a discriminator, deleteMany on the base model ---> should throw RefConstraintError', async function () {
+    await new HelmetModel({ bike: bike._id }).save();
+
+    try {
+      await VehicleModel.deleteMany({});
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await CarModel.findById(car._id), 'car should exists');
+  });
+
+  it('ref to the base model, deleteOne on a discriminator ---> should unset the ref', async function () {
+    const parking = await new ParkingModel({ vehicle: bike._id }).save();
+
+    await bike.deleteOne();
+
+    assert(!(await ParkingModel.findById(parking._id)).vehicle, 'ref should be unset');
+  });
+
+  it('ref to a discriminator, save with a document of another discriminator ---> should throw MissingRefError', async function () {
+    referencesIntegrityChecker.configure({ validateRefs: true });
+
+    try {
+      await new HelmetModel({ bike: car._id }).save();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof MissingRefError)) throw e;
+    } finally {
+      referencesIntegrityChecker.configure({ validateRefs: false });
+    }
+  });
+
+  it('ref to a discriminator cascaded through its base model, previewDelete ---> should be blocked like the delete', async function () {
+    await DriverModel.deleteMany({});
+    await TruckModel.collection.deleteMany({});
+    await FleetModel.deleteMany({});
+
+    const fleet = await new FleetModel().save();
+    const tanker = await new TankerModel({ fleet: fleet._id }).save();
+    const driver = await new DriverModel({ tanker: tanker._id }).save();
+
+    const preview = await FleetModel.previewDelete(fleet._id);
+    assert(preview.blocked, 'delete should be blocked by the driver');
+
+    const [trucks] = preview.children;
+    assert(trucks.modelName === 'TruckDiscriminator' && trucks.action === 'cascade');
+    assert(trucks.children[0].modelName === 'DriverDiscriminator', 'driver should be checked');
+    assert(trucks.children[0].documentIds[0].equals(driver._id), 'driver should be the blocking one');
+
+    try {
+      await fleet.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+  });
+});
+
+describe('References - Cycles', async function () {
+  // Category - self-referencing tree
+  const CategorySchema = new mongoose.Schema({
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CategoryCycle',
+      onDelete: 'cascade',
+    },
+  });
+  referencesIntegrityChecker('CategoryCycle', CategorySchema);
+  const CategoryModel = mongoose.model('CategoryCycle', CategorySchema);
+
+  // Author and Profile - referencing each other
+  const AuthorSchema = new mongoose.Schema({
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProfileCycle',
+      onDelete: 'cascade',
+    },
+  });
+  referencesIntegrityChecker('AuthorCycle', AuthorSchema);
+  const AuthorModel = mongoose.model('AuthorCycle', AuthorSchema);
+
+  const ProfileSchema = new mongoose.Schema({
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuthorCycle',
+      onDelete: 'cascade',
+    },
+  });
+  referencesIntegrityChecker('ProfileCycle', ProfileSchema);
+  const ProfileModel = mongoose.model('ProfileCycle', ProfileSchema);
+
+  let root, child, grandchild;
+
+  beforeEach(async function () {
+    await CategoryModel.collection.deleteMany({});
+    await AuthorModel.collection.deleteMany({});
+    await ProfileModel.collection.deleteMany({});
+
+    root = await new CategoryModel().save();
+    child = await new CategoryModel({ parent: root._id }).save();
+    grandchild = await new CategoryModel({ parent: child._id }).save();
+  });
+
+  it('self-referencing tree, deleteOne ---> should delete only the subtree', async function () {
+    await child.deleteOne();
+
+    assert(await CategoryModel.findById(root._id), 'root should exists');
+    assert(!(await CategoryModel.findById(child._id)), "child shouldn't exists");
+    assert(!(await CategoryModel.findById(grandchild._id)), "grandchild shouldn't exists");
+  });
+
+  it('self-referencing loop in the data, deleteOne ---> should delete each document once', async function () {
+    await CategoryModel.updateOne({ _id: root._id }, { parent: grandchild._id });
+
+    await root.deleteOne();
+
+    assert(!(await CategoryModel.countDocuments()), "categories shouldn't exists");
+  });
+
+  it('models referencing each other, deleteOne ---> should delete both documents', async function () {
+    const author = await new AuthorModel().save();
+    const profile = await new ProfileModel({ author: author._id }).save();
+    await AuthorModel.updateOne({ _id: author._id }, { profile: profile._id });
+
+    await author.deleteOne();
+
+    assert(!(await AuthorModel.findById(author._id)), "author shouldn't exists");
+    assert(!(await ProfileModel.findById(profile._id)), "profile shouldn't exists");
+  });
+
+  it('self-referencing loop in the data, previewDelete ---> should list each document once', async function () {
+    await CategoryModel.updateOne({ _id: root._id }, { parent: grandchild._id });
+
+    const preview = await CategoryModel.previewDelete(root._id);
+
+    assert(preview.children.length === 1, 'child should be listed');
+    assert(preview.children[0].children.length === 1, 'grandchild should be listed');
+    assert(!preview.children[0].children[0].children.length, 'root should not be listed again');
+  });
+
+  it('cascadeCycles error, register a cycle ---> should throw', async function () {
+    referencesIntegrityChecker.configure({ cascadeCycles: 'error' });
+
+    try {
+      referencesIntegrityChecker(
+        'NodeCycle',
+        new mongoose.Schema({
+          next: { type: mongoose.Schema.Types.ObjectId, ref: 'NodeCycle', onDelete: 'cascade' },
+        })
+      );
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof Error) || !e.message.includes('NodeCycle -> NodeCycle')) throw e;
+    } finally {
+      referencesIntegrityChecker.configure({ cascadeCycles: false });
+    }
+  });
+});
+
+describe('References - Constraint Error', async function () {
+  // Country - 1
+  const CountrySchema = new mongoose.Schema({});
+  referencesIntegrityChecker('CountryError', CountrySchema);
+  const CountryModel = mongoose.model('CountryError', CountrySchema);
+
+  // City - N (deleted on cascade)
+  const CitySchema = new mongoose.Schema({
+    country: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CountryError',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('CityError', CitySchema);
+  const CityModel = mongoose.model('CityError', CitySchema);
+
+  // Shop - N (blocking)
+  const ShopSchema = new mongoose.Schema({
+    city: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CityError',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('ShopError', ShopSchema);
+  const ShopModel = mongoose.model('ShopError', ShopSchema);
+
+  let country, city, shop;
+
+  beforeEach(async function () {
+    await ShopModel.deleteMany({});
+    await CityModel.collection.deleteMany({});
+    await CountryModel.deleteMany({});
+
+    country = await new CountryModel().save();
+    city = await new CityModel({ country: country._id }).save();
+    shop = await new ShopModel({ city: city._id }).save();
+  });
+
+  it('blocked deleteOne ---> should throw a readable and serializable error', async function () {
+    try {
+      await city.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+
+      assert(
+        e.message === `Cannot delete CityError ${city._id}: referenced by ShopError.city (${shop._id})`,
+        'message should name the deleted and the blocking documents'
+      );
+      assert(e.code === 'REF_CONSTRAINT', 'error should have a code');
+
+      const json = JSON.parse(JSON.stringify(e));
+      assert(json.code === 'REF_CONSTRAINT' && json.message === e.message, 'error should be serializable');
+      assert(json.whoIsBlocking === String(shop._id), 'json should name the blocking document');
+    }
+  });
+
+  it('error module ---> should export RefConstraintError, with the other errors attached', function () {
+    const errors = require('../error');
+
+    assert(errors === RefConstraintError, 'module should export RefConstraintError');
+    assert(errors.RefConstraintError === RefConstraintError && errors.MissingRefError === MissingRefError);
+  });
+
+  it('cascade blocked deeper ---> should report the chain of the cascade', async function () {
+    try {
+      await country.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+
+      const { chain } = e.options;
+      assert(chain.length === 2, 'chain should contain the country and the city');
+      assert(chain[0].modelName === 'CountryError' && chain[0].documentId.equals(country._id));
+      assert(chain[1].modelName === 'CityError' && chain[1].documentId.equals(city._id));
+      assert(e.message.startsWith(`Cannot delete CountryError ${country._id} (on cascade: CityError`));
+    }
+  });
+
+  it('collectBlockers, blocked deleteOne ---> should report every blocking document', async function () {
+    const otherShop = await new ShopModel({ city: city._id }).save();
+    referencesIntegrityChecker.configure({ collectBlockers: true });
+
+    try {
+      await city.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+
+      const blockingIds = e.options.blockers.map((blocker) => String(blocker.whoIsBlocking));
+      assert(blockingIds.length === 2, 'error should report both shops');
+      assert(blockingIds.includes(String(shop._id)) && blockingIds.includes(String(otherShop._id)));
+    } finally {
+      referencesIntegrityChecker.configure({ collectBlockers: false });
+    }
+  });
+});
+
+describe('References - Events', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseEvents', HouseSchema);
+  const HouseModel = mongoose.model('HouseEvents', HouseSchema);
+
+  // Room - N (cascade)
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseEvents',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('RoomEvents', RoomSchema);
+  const RoomModel = mongoose.model('RoomEvents', RoomSchema);
+
+  // Garden - N (set null)
+  const GardenSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseEvents',
+      required: false,
+    },
+  });
+  referencesIntegrityChecker('GardenEvents', GardenSchema);
+  const GardenModel = mongoose.model('GardenEvents', GardenSchema);
+
+  // Owner - N (blocking)
+  const OwnerSchema = new mongoose.Schema({
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomEvents',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('OwnerEvents', OwnerSchema);
+  const OwnerModel = mongoose.model('OwnerEvents', OwnerSchema);
+
+  let parent, room, garden, received;
+  const listen = (eventName) => (payload) => received.push({ eventName, ...payload });
+
+  beforeEach(async function () {
+    await OwnerModel.deleteMany({});
+    await RoomModel.deleteMany({});
+    await GardenModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    parent = await new HouseModel().save();
+    room = await new RoomModel({ house: parent._id }).save();
+    garden = await new GardenModel({ house: parent._id }).save();
+    received = [];
+  });
+
+  afterEach(function () {
+    for (const eventName of ['beforeCascade', 'afterCascade', 'afterSetNull', 'blocked']) {
+      referencesIntegrityChecker.events.removeAllListeners(eventName);
+      HouseModel.events.removeAllListeners(eventName);
+      RoomModel.events.removeAllListeners(eventName);
+    }
+  });
+
+  it('global listeners, deleteOne ---> should emit the cascade and the set null', async function () {
+    for (const eventName of ['beforeCascade', 'afterCascade', 'afterSetNull'])
+      referencesIntegrityChecker.events.on(eventName, listen(eventName));
+
+    await parent.deleteOne();
+
+    assert(
+      received.map((event) => event.eventName).join() === 'beforeCascade,afterCascade,afterSetNull',
+      'events should be emitted in order'
+    );
+
+    const [beforeCascade, , afterSetNull] = received;
+    assert(beforeCascade.modelName === 'HouseEvents' && beforeCascade.modelRef === 'RoomEvents');
+    assert(beforeCascade.documentIds[0].equals(parent._id), 'event should name the parent');
+    assert(beforeCascade.pathRef === 'house' && !beforeCascade.softDelete);
+    assert(beforeCascade.childIds.length === 1 && beforeCascade.childIds[0].equals(room._id));
+    assert(afterSetNull.modelRef === 'GardenEvents' && afterSetNull.childIds[0].equals(garden._id));
+  });
+
+  it('model listener, deleteOne ---> should emit only the events of the model', async function () {
+    HouseModel.events.on('afterCascade', listen('afterCascade'));
+    RoomModel.events.on('afterCascade', listen('afterCascade'));
+
+    await parent.deleteOne();
+
+    assert(received.length === 1, 'only the cascade of the house should be emitted');
+    assert(received[0].modelName === 'HouseEvents', 'event should name the parent');
+  });
+
+  it('blocked deleteOne ---> should emit blocked', async function () {
+    const owner = await new OwnerModel({ room: room._id }).save();
+    referencesIntegrityChecker.events.on('blocked', listen('blocked'));
+
+    try {
+      await room.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(received.length === 1, 'blocked should be emitted');
+    assert(received[0].modelRef === 'OwnerEvents' && received[0].childIds[0].equals(owner._id));
+    assert(received[0].error instanceof RefConstraintError, 'event should carry the error');
+  });
+});
+
+describe('References - Graph', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseGraph', HouseSchema);
+  mongoose.model('HouseGraph', HouseSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseGraph',
+      required: true,
+      cascade: true,
+    },
+    windows: [
+      {
+        neighbours: [{ type: mongoose.Schema.Types.ObjectId, ref: 'HouseGraph' }],
+      },
+    ],
+  });
+  referencesIntegrityChecker('RoomGraph', RoomSchema);
+  mongoose.model('RoomGraph', RoomSchema);
+
+  it('getGraph ---> should describe the refs pointing to each model', function () {
+    const refs = referencesIntegrityChecker.getGraph().HouseGraph;
+
+    assert(refs.length === 2, 'both refs should be listed');
+    assert.deepStrictEqual(refs[0], {
+      modelRef: 'RoomGraph',
+      pathRef: 'house',
+      array: false,
+      nested: false,
+      action: 'cascade',
+    });
+    assert.deepStrictEqual(refs[1], {
+      modelRef: 'RoomGraph',
+      pathRef: 'windows.neighbours',
+      array: true,
+      nested: true,
+      action: 'setNull',
+    });
+  });
+
+  it('exportGraph ---> should export json, dot and mermaid', function () {
+    assert(JSON.parse(referencesIntegrityChecker.exportGraph('json')).HouseGraph.length === 2);
+    assert(
+      referencesIntegrityChecker
+        .exportGraph('dot')
+        .includes('"RoomGraph" -> "HouseGraph" [label="house (cascade)", style=bold];')
+    );
+    assert(
+      referencesIntegrityChecker
+        .exportGraph('mermaid')
+        .includes('HouseGraph }o--o{ RoomGraph : "windows.neighbours (setNull)"')
+    );
+  });
+});
+
+describe('References - Registration', async function () {
+  // User - 1
+  const UserSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('UserRegistration', UserSchema);
+  const UserModel = mongoose.model('UserRegistration', UserSchema);
+
+  // Post - N
+  const PostSchema = new mongoose.Schema({
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'UserRegistration', required: true },
+  });
+  referencesIntegrityChecker('PostRegistration', PostSchema);
+  const PostModel = mongoose.model('PostRegistration', PostSchema);
+
+  // Team - N
+  const TeamSchema = new mongoose.Schema({
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'UserRegistration' }],
+  });
+  referencesIntegrityChecker('TeamRegistration', TeamSchema);
+  // Registered twice, e.g. on hot reload
+  referencesIntegrityChecker('TeamRegistration', TeamSchema);
+  const TeamModel = mongoose.model('TeamRegistration', TeamSchema);
+
+  before(async function () {
+    await TeamModel.deleteMany({});
+    await PostModel.deleteMany({});
+    await UserModel.deleteMany({});
+  });
+
+  it('every path to the referenced model is registered once', function () {
+    const refs = referencesIntegrityChecker.getGraph().UserRegistration;
+    assert.deepStrictEqual(
+      refs.map(({ modelRef, pathRef }) => `${modelRef}.${pathRef}`),
+      ['PostRegistration.author', 'TeamRegistration.members']
+    );
+  });
+
+  it('array of refs and required ref, deleteOne ---> should throw RefConstraintError', async function () {
+    const parent = await new UserModel().save();
+    const post = await new PostModel({ author: parent._id }).save();
+    const team = await new TeamModel({ members: [parent._id] }).save();
+
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+      assert.strictEqual(e.options.modelRef, 'PostRegistration');
+    }
+
+    await post.deleteOne();
+    await parent.deleteOne();
+    assert.deepStrictEqual((await TeamModel.findById(team._id)).members.toObject(), []);
+  });
+});
+
+describe('References - Block Checks', async function () {
+  // User - 1
+  const UserSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('UserBlockChecks', UserSchema);
+  const UserModel = mongoose.model('UserBlockChecks', UserSchema);
+
+  // Post - N (blocking through two paths)
+  const PostSchema = new mongoose.Schema({
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'UserBlockChecks', required: true },
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: 'UserBlockChecks', required: true },
+  });
+  referencesIntegrityChecker('PostBlockChecks', PostSchema);
+  const PostModel = mongoose.model('PostBlockChecks', PostSchema);
+
+  // Comment - N (set null)
+  const CommentSchema = new mongoose.Schema({
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'UserBlockChecks' },
+  });
+  referencesIntegrityChecker('CommentBlockChecks', CommentSchema);
+  const CommentModel = mongoose.model('CommentBlockChecks', CommentSchema);
+
+  let parent, other, post, comment;
+
+  beforeEach(async function () {
+    await CommentModel.deleteMany({});
+    await PostModel.deleteMany({});
+    await UserModel.deleteMany({});
+
+    parent = await new UserModel().save();
+    other = await new UserModel().save();
+    post = await new PostModel({ author: other._id, editor: parent._id }).save();
+    comment = await new CommentModel({ author: parent._id }).save();
+  });
+
+  it('blocked deleteOne ---> should check the paths of a model with one query, before writing anything', async function () {
+    const postQueries = [];
+    mongoose.set('debug', (collectionName, method) => {
+      if (collectionName === PostModel.collection.name) postQueries.push(method);
+    });
+
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+      assert.strictEqual(e.options.pathRef, 'editor');
+      assert(e.options.whoIsBlocking.equals(post._id));
+    } finally {
+      mongoose.set('debug', false);
+    }
+
+    assert.deepStrictEqual(postQueries, ['find'], 'paths should be checked with a single query');
+    comment = await CommentModel.findById(comment._id);
+    assert(comment.author.equals(parent._id), "child's ref should not be set null");
+  });
+
+  it('collectBlockers, document blocking through two paths ---> should report both paths', async function () {
+    await PostModel.updateOne({ _id: post._id }, { author: parent._id });
+    referencesIntegrityChecker.configure({ collectBlockers: true });
+
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+      assert.deepStrictEqual(e.options.blockers.map(({ pathRef }) => pathRef), ['author', 'editor']);
+    } finally {
+      referencesIntegrityChecker.configure({ collectBlockers: false });
+    }
+  });
+});
+
+describe('References - Bulk Delete', async function () {
+  // Country - 1
+  const CountrySchema = new mongoose.Schema({});
+  referencesIntegrityChecker('CountryBulk', CountrySchema);
+  const CountryModel = mongoose.model('CountryBulk', CountrySchema);
+
+  // City - N (deleted on cascade)
+  const CitySchema = new mongoose.Schema({
+    country: { type: mongoose.Schema.Types.ObjectId, ref: 'CountryBulk', required: true, cascade: true },
+  });
+  referencesIntegrityChecker('CityBulk', CitySchema);
+  const CityModel = mongoose.model('CityBulk', CitySchema);
+
+  // Citizen - N (set null)
+  const CitizenSchema = new mongoose.Schema({
+    cities: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CityBulk' }],
+  });
+  referencesIntegrityChecker('CitizenBulk', CitizenSchema);
+  const CitizenModel = mongoose.model('CitizenBulk', CitizenSchema);
+
+  // Embassy - N (blocking)
+  const EmbassySchema = new mongoose.Schema({
+    city: { type: mongoose.Schema.Types.ObjectId, ref: 'CityBulk', required: true },
+  });
+  referencesIntegrityChecker('EmbassyBulk', EmbassySchema);
+  const EmbassyModel = mongoose.model('EmbassyBulk', EmbassySchema);
+
+  let countries, cities, citizen;
+
+  beforeEach(async function () {
+    await EmbassyModel.deleteMany({});
+    await CitizenModel.deleteMany({});
+    await CityModel.collection.deleteMany({});
+    await CountryModel.deleteMany({});
+
+    countries = [await new CountryModel().save(), await new CountryModel().save()];
+    cities = [];
+    for (const country of countries)
+      for (let i = 0; i < 5; i++) cities.push(await new CityModel({ country: country._id }).save());
+    citizen = await new CitizenModel({ cities: cities.map((city) => city._id) }).save();
+  });
+
+  it('child blocking, deleteManyWithIntegrity ---> should throw RefConstraintError and delete nothing', async function () {
+    await new EmbassyModel({ city: cities[7]._id }).save();
+
+    try {
+      await CountryModel.deleteManyWithIntegrity({});
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+      assert(e.options.whoIsBlocking, 'error should name the blocking document');
+    }
+
+    assert.strictEqual(await CountryModel.countDocuments(), 2, 'parents should exist');
+    assert.strictEqual(await CityModel.countDocuments(), 10, 'children should exist');
+  });
+
+  it('deleteManyWithIntegrity ---> should cascade every level with a query for each ref', async function () {
+    const cityQueries = [];
+    mongoose.set('debug', (collectionName, method) => {
+      if (collectionName === CityModel.collection.name) cityQueries.push(method);
+    });
+
+    try {
+      await CountryModel.deleteManyWithIntegrity({ _id: { $in: countries.map(({ _id }) => _id) } });
+    } finally {
+      mongoose.set('debug', false);
+    }
+
+    assert.strictEqual(await CountryModel.countDocuments(), 0, 'parents should be deleted');
+    assert.strictEqual(await CityModel.countDocuments(), 0, 'children should be deleted');
+    assert.deepStrictEqual(cityQueries, ['find', 'deleteMany'], 'children should be deleted at once');
+
+    citizen = await CitizenModel.findById(citizen._id);
+    assert.strictEqual(citizen.cities.length, 0, 'refs to the children should be pulled');
+  });
+});
+
+describe('References - Dangling Refs', async function () {
+  // User - N
+  const UserSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('UserDangling', UserSchema);
+  const UserModel = mongoose.model('UserDangling', UserSchema);
+
+  // Post - N
+  const PostSchema = new mongoose.Schema({
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'UserDangling' },
+    likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'UserDangling' }],
+  });
+  referencesIntegrityChecker('PostDangling', PostSchema);
+  const PostModel = mongoose.model('PostDangling', PostSchema);
+
+  let parents, child;
+
+  beforeEach(async function () {
+    await PostModel.deleteMany({});
+    await UserModel.deleteMany({});
+
+    parents = [await new UserModel().save(), await new UserModel().save()];
+    child = await new PostModel({
+      author: parents[0]._id,
+      likes: [parents[0]._id, parents[1]._id],
+    }).save();
+
+    // Deleted bypassing mongoose
+    await UserModel.collection.deleteOne({ _id: parents[0]._id });
+  });
+
+  afterEach(function () {
+    referencesIntegrityChecker.configure({ danglingRefs: false });
+    referencesIntegrityChecker.events.removeAllListeners('danglingRef');
+  });
+
+  it("'error', populate ---> should throw MissingRefError", async function () {
+    referencesIntegrityChecker.configure({ danglingRefs: 'error' });
+
+    try {
+      await PostModel.findById(child._id).populate('author');
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof MissingRefError)) throw e;
+      assert(e.options.missingId.equals(parents[0]._id));
+      assert(e.options.documentId.equals(child._id));
+    }
+  });
+
+  it("'event', populate ---> should emit danglingRef for each missing ref", async function () {
+    referencesIntegrityChecker.configure({ danglingRefs: 'event' });
+    const danglingRefs = [];
+    referencesIntegrityChecker.events.on('danglingRef', (danglingRef) => danglingRefs.push(danglingRef));
+
+    await PostModel.find({ _id: child._id }).populate('author likes');
+
+    assert.deepStrictEqual(danglingRefs.map(({ pathRef }) => pathRef).sort(), ['author', 'likes']);
+    assert(danglingRefs.every(({ missingId }) => missingId.equals(parents[0]._id)));
+  });
+
+  it("'repair', populate ---> should apply the onDelete policy of the refs", async function () {
+    referencesIntegrityChecker.configure({ danglingRefs: 'repair' });
+
+    await PostModel.findById(child._id).populate('author likes');
+
+    child = await PostModel.findById(child._id);
+    assert.strictEqual(child.author, null, 'dangling ref should be set null');
+    assert.deepStrictEqual(child.likes.map(String), [String(parents[1]._id)]);
+  });
+
+  it('populate with match ---> should not report the documents filtered out', async function () {
+    referencesIntegrityChecker.configure({ danglingRefs: 'error' });
+    await PostModel.findById(child._id).populate({ path: 'likes', match: { _id: null } });
+  });
+});
+
+describe('References - Indexes', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseIndexes', HouseSchema);
+  const HouseModel = mongoose.model('HouseIndexes', HouseSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    house: { type: mongoose.Schema.Types.ObjectId, ref: 'HouseIndexes', index: true },
+    neighbours: [{ type: mongoose.Schema.Types.ObjectId, ref: 'HouseIndexes' }],
+  });
+  referencesIntegrityChecker('RoomIndexes', RoomSchema);
+  const RoomModel = mongoose.model('RoomIndexes', RoomSchema);
+
+  before(async function () {
+    await HouseModel.init();
+    await RoomModel.init();
+    await RoomModel.collection.dropIndex({ neighbours: 1 }).catch(() => {});
+  });
+
+  const getMissingIndexes = async (options) =>
+    (await referencesIntegrityChecker.checkIndexes(options)).filter(
+      ({ modelName }) => modelName === 'HouseIndexes'
+    );
+
+  it('checkIndexes ---> should report the ref paths without an index', async function () {
+    const missingIndexes = await getMissingIndexes();
+
+    assert.strictEqual(missingIndexes.length, 1);
+    assert.deepStrictEqual(missingIndexes[0], {
+      modelName: 'HouseIndexes',
+      modelRef: 'RoomIndexes',
+      pathRef: 'neighbours',
+      collectionName: RoomModel.collection.name,
+      key: { neighbours: 1 },
+      created: false,
+    });
+  });
+
+  it('checkIndexes with create ---> should create the missing indexes', async function () {
+    assert.strictEqual((await getMissingIndexes({ create: true }))[0].created, true);
+    assert.strictEqual((await getMissingIndexes()).length, 0, 'every ref path should be indexed');
+  });
+});
@@ -2,7 +2,7 @@ const assert = require('assert');
 const mongoose = require('mongoose');
 const softDeletePlugin = require('mongoose-soft-deleting');
 const referencesIntegrityChecker = require('..');
-const { RefConstraintError } = referencesIntegrityChecker;
+const { RefConstraintError, SoftDeletedRefError } = referencesIntegrityChecker;
 
 mongoose.connect('mongodb://root@localhost:27017/admin', {
   dbName: 'mongoose-references-integrity-checker',
@@ -33,8 +33,8 @@ describe('References - Simple', async function () {
   let parent, child;
 
   before(async function () {
-    await HouseModel.deleteMany({});
     await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
 
     parent = await new HouseModel().save();
     child = await new RoomModel({ house: parent._id }).save();
@@ -92,3 +92,174 @@ describe('References - Simple', async function () {
     assert(!(await RoomModel.findById(children[2]._id))._deleted, 'child should not be soft deleted');
   });
 });
+
+describe('References - Soft Delete Set Null', async function () {
+  // Owner - 1
+  const OwnerSchema = new mongoose.Schema({});
+  OwnerSchema.plugin(softDeletePlugin);
+  referencesIntegrityChecker('SoftOwner', OwnerSchema);
+
+  // Car - N (registered before the owner is compiled, so that the owner can remember the unset refs)
+  const CarSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'SoftOwner', softDeleteSetNull: 'unset' },
+    drivers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SoftOwner', softDeleteSetNull: 'unset' }],
+  });
+  CarSchema.plugin(softDeletePlugin);
+  referencesIntegrityChecker('SoftCar', CarSchema);
+
+  const OwnerModel = mongoose.model('SoftOwner', OwnerSchema);
+  const CarModel = mongoose.model('SoftCar', CarSchema);
+
+  // Bike - N
+  const BikeSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'SoftOwner', softDeleteSetNull: 'hide' },
+  });
+  referencesIntegrityChecker('SoftBike', BikeSchema);
+  const BikeModel = mongoose.model('SoftBike', BikeSchema);
+
+  before(async function () {
+    await CarModel.deleteMany({});
+    await BikeModel.deleteMany({});
+    await OwnerModel.deleteMany({});
+  });
+
+  it("'unset' mode, soft delete and restore ---> should unset the refs and link them again", async function () {
+    const parent = await new OwnerModel().save();
+    const other = await new OwnerModel().save();
+    const child = await new CarModel({ owner: parent._id, drivers: [other._id, parent._id] }).save();
+
+    await parent.softDelete(true);
+
+    let car = await CarModel.findById(child._id);
+    assert.strictEqual(car.owner, null, "child's ref should be unset");
+    assert(car.drivers[0].equals(other._id), 'other refs should be kept');
+    assert.strictEqual(car.drivers[1], null, "child's ref in the array should be unset");
+
+    await parent.softDelete(false);
+
+    car = await CarModel.findById(child._id);
+    assert(car.owner.equals(parent._id), "child's ref should be linked again");
+    assert.strictEqual(car.drivers.length, 2, 'array should keep its length');
+    assert(car.drivers[0].equals(other._id), 'other refs should be kept');
+    assert(car.drivers[1].equals(parent._id), "child's ref in the array should be linked again");
+    assert(!(await OwnerModel.findById(parent._id)).get('_unsetRefs'), 'restored refs should be forgotten');
+  });
+
+  it("'unset' mode ---> only the models referenced in 'unset' mode should remember the unset refs", function () {
+    assert(OwnerSchema.path('_unsetRefs'), 'parent should have the unset refs');
+    assert(!CarSchema.path('_unsetRefs'), "child shouldn't have the unset refs");
+  });
+
+  it("'unset' mode, parent compiled before the ref ---> should warn and keep the ref on soft delete", async function () {
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning.message);
+    process.on('warning', onWarning);
+
+    // Truck - 1 (compiled before the refs to it)
+    const TruckSchema = new mongoose.Schema({});
+    TruckSchema.plugin(softDeletePlugin);
+    referencesIntegrityChecker('SoftTruck', TruckSchema);
+    const TruckModel = mongoose.model('SoftTruck', TruckSchema);
+
+    // Trailer - N
+    const TrailerSchema = new mongoose.Schema({
+      truck: { type: mongoose.Schema.Types.ObjectId, ref: 'SoftTruck', softDeleteSetNull: 'unset' },
+    });
+    referencesIntegrityChecker('SoftTrailer', TrailerSchema);
+    const TrailerModel = mongoose.model('SoftTrailer', TrailerSchema);
+
+    try {
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      process.removeListener('warning', onWarning);
+    }
+
+    assert(warnings.some((message) => message.includes('SoftTruck is already compiled')), 'should warn');
+    assert(!TruckSchema.path('_unsetRefs'), "compiled parent shouldn't be changed");
+
+    const parent = await new TruckModel().save();
+    const child = await new TrailerModel({ truck: parent._id }).save();
+
+    await parent.softDelete(true);
+
+    assert((await TrailerModel.findById(child._id)).truck.equals(parent._id), "child's ref should be kept");
+  });
+
+  it("'hide' mode, soft delete ---> should keep the ref, but not populate it", async function () {
+    const parent = await new OwnerModel().save();
+    const child = await new BikeModel({ owner: parent._id }).save();
+
+    await parent.softDelete(true);
+
+    const bike = await BikeModel.findById(child._id).populate('owner');
+    assert.strictEqual(bike.owner, null, 'soft deleted parent should not be populated');
+    assert((await BikeModel.findById(child._id)).owner.equals(parent._id), "child's ref should be there");
+  });
+});
+
+describe('References - Soft Delete Restore', async function () {
+  // Street - 1
+  const StreetSchema = new mongoose.Schema({});
+  StreetSchema.plugin(softDeletePlugin);
+  referencesIntegrityChecker('RestoreStreet', StreetSchema);
+  const StreetModel = mongoose.model('RestoreStreet', StreetSchema);
+
+  // House - N
+  const HouseSchema = new mongoose.Schema({
+    street: { type: mongoose.Schema.Types.ObjectId, ref: 'RestoreStreet', required: true, cascade: true },
+  });
+  HouseSchema.plugin(softDeletePlugin);
+  referencesIntegrityChecker('RestoreHouse', HouseSchema);
+  const HouseModel = mongoose.model('RestoreHouse', HouseSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    house: { type: mongoose.Schema.Types.ObjectId, ref: 'RestoreHouse', required: true, cascade: true },
+  });
+  RoomSchema.plugin(softDeletePlugin);
+  referencesIntegrityChecker('RestoreRoom', RoomSchema);
+  const RoomModel = mongoose.model('RestoreRoom', RoomSchema);
+
+  let street, house, room;
+
+  beforeEach(async function () {
+    await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
+    await StreetModel.deleteMany({});
+
+    street = await new StreetModel().save();
+    house = await new HouseModel({ street: street._id }).save();
+    room = await new RoomModel({ house: house._id }).save();
+
+    await street.softDelete(true);
+    room = await RoomModel.findById(room._id);
+    assert(room._deleted, 'child should be soft deleted');
+  });
+
+  after(function () {
+    referencesIntegrityChecker.configure({ softDeleteRestore: 'block' });
+  });
+
+  it('parent is soft deleted, restore child ---> should throw SoftDeletedRefError', async function () {
+    try {
+      await room.softDelete(false);
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof SoftDeletedRefError)) throw e;
+      assert.strictEqual(e.options.modelName, 'RestoreHouse');
+      assert(e.options.deletedId.equals(house._id));
+    }
+
+    assert((await RoomModel.findById(room._id))._deleted, 'child should still be soft deleted');
+    assert((await HouseModel.findById(house._id))._deleted, 'parent should still be soft deleted');
+  });
+
+  it("parent is soft deleted, restore child with 'restoreParents' ---> should restore the whole chain", async function () {
+    referencesIntegrityChecker.configure({ softDeleteRestore: 'restoreParents' });
+    await room.softDelete(false);
+
+    assert(!(await RoomModel.findById(room._id))._deleted, 'child should be restored');
+    assert(!(await HouseModel.findById(house._id))._deleted, 'parent should be restored');
+    assert(!(await StreetModel.findById(street._id))._deleted, "parent's parent should be restored");
+  });
+});
@@ -0,0 +1,161 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const referencesIntegrityChecker = require('..');
+const { RefConstraintError } = referencesIntegrityChecker;
+
+// Transactions need a replica set (e.g. mongod --replSet rs0)
+mongoose.connect('mongodb://root@localhost:27017/admin', {
+  dbName: 'mongoose-references-integrity-checker',
+  useUnifiedTopology: true,
+});
+
+mongoose.connection.on('error', console.error.bind(console, "Con't connect to MongoDB."));
+
+describe('References - Transactions', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseTransaction', HouseSchema);
+  const HouseModel = mongoose.model('HouseTransaction', HouseSchema);
+
+  // Room - N
+  const RoomSchema = new mongoose.Schema({
+    house: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HouseTransaction',
+      required: true,
+      cascade: true,
+    },
+  });
+  referencesIntegrityChecker('RoomTransaction', RoomSchema);
+  const RoomModel = mongoose.model('RoomTransaction', RoomSchema);
+
+  // Furniture - N
+  const FurnitureSchema = new mongoose.Schema({
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoomTransaction',
+      required: true,
+    },
+  });
+  referencesIntegrityChecker('FurnitureTransaction', FurnitureSchema);
+  const FurnitureModel = mongoose.model('FurnitureTransaction', FurnitureSchema);
+
+  let parent, children, furniture;
+
+  before(async function () {
+    if (mongoose.connection.readyState !== 1)
+      await new Promise((resolve) => mongoose.connection.once('open', resolve));
+
+    const info = await mongoose.connection.db.admin().command({ isMaster: 1 });
+    if (!info.setName) this.skip();
+
+    referencesIntegrityChecker.configure({ transactions: 'auto' });
+
+    // Collections can't be created inside a transaction on MongoDB < 4.4
+    await HouseModel.createCollection();
+    await RoomModel.createCollection();
+    await FurnitureModel.createCollection();
+  });
+
+  after(function () {
+    referencesIntegrityChecker.configure({ transactions: false });
+  });
+
+  beforeEach(async function () {
+    await FurnitureModel.deleteMany({});
+    await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
+
+    parent = await new HouseModel().save();
+    children = [
+      await new RoomModel({ house: parent._id }).save(),
+      await new RoomModel({ house: parent._id }).save(),
+    ];
+    furniture = await new FurnitureModel({ room: children[1]._id }).save();
+  });
+
+  it('cascade blocked by a deep child ---> should rollback the children already deleted', async function () {
+    try {
+      await parent.deleteOne();
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await HouseModel.findById(parent._id), 'parent should exists');
+    assert(await RoomModel.findById(children[0]._id), 'deleted child should be restored');
+    assert(await RoomModel.findById(children[1]._id), 'blocked child should exists');
+  });
+
+  it('cascade blocked on a query ---> should rollback the children already deleted', async function () {
+    try {
+      await HouseModel.deleteMany({ _id: parent._id });
+      throw 'This should never happen !';
+    } catch (e) {
+      if (!(e instanceof RefConstraintError)) throw e;
+    }
+
+    assert(await HouseModel.findById(parent._id), 'parent should exists');
+    assert(await RoomModel.findById(children[0]._id), 'deleted child should be restored');
+  });
+
+  it('session attached by the user ---> should run the cascade in the same transaction', async function () {
+    await furniture.deleteOne();
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    await HouseModel.deleteOne({ _id: parent._id }).session(session);
+    assert(!(await RoomModel.findById(children[0]._id).session(session)), "child shouldn't exists");
+
+    await session.abortTransaction();
+    session.endSession();
+
+    assert(await HouseModel.findById(parent._id), 'parent should exists after abort');
+    assert(await RoomModel.findById(children[0]._id), 'child should exists after abort');
+  });
+
+  it('validateRefs, insertMany in a transaction ---> should see the parent saved in the transaction', async function () {
+    referencesIntegrityChecker.configure({ validateRefs: true });
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const [otherParent] = await HouseModel.insertMany([{}], { session });
+      await RoomModel.insertMany([{ house: otherParent._id }], { session });
+      await session.commitTransaction();
+
+      assert(await RoomModel.findOne({ house: otherParent._id }), 'child should exists');
+    } finally {
+      session.endSession();
+      referencesIntegrityChecker.configure({ validateRefs: false });
+    }
+  });
+
+  it('cascade, afterCascade listener ---> should emit the event once committed', async function () {
+    await furniture.deleteOne();
+    let child;
+    // Read outside of the transaction
+    referencesIntegrityChecker.events.once('afterCascade', () => {
+      child = RoomModel.findById(children[0]._id).exec();
+    });
+
+    try {
+      await parent.deleteOne();
+
+      assert(child, 'afterCascade should be emitted');
+      assert(!(await child), 'cascade should be committed');
+    } finally {
+      referencesIntegrityChecker.events.removeAllListeners('afterCascade');
+    }
+  });
+
+  it('cascade ---> should commit the whole transaction', async function () {
+    await furniture.deleteOne();
+    await parent.deleteOne();
+
+    assert(!(await HouseModel.findById(parent._id)), "parent shouldn't exists");
+    assert(!(await RoomModel.findById(children[0]._id)), "child shouldn't exists");
+    assert(!(await RoomModel.findById(children[1]._id)), "child shouldn't exists");
+  });
+});
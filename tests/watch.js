@@ -0,0 +1,136 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const referencesIntegrityChecker = require('..');
+const { RefConstraintError } = referencesIntegrityChecker;
+
+// Change streams need a replica set (e.g. mongod --replSet rs0)
+mongoose.connect('mongodb://root@localhost:27017/admin', {
+  dbName: 'mongoose-references-integrity-checker',
+  useUnifiedTopology: true,
+});
+
+mongoose.connection.on('error', console.error.bind(console, "Con't connect to MongoDB."));
+
+// Watch with an 'error' listener, so that an error fails the test instead of crashing mocha
+async function watch(options) {
+  const watcher = await referencesIntegrityChecker.watch(options);
+  watcher.on('error', (error) => (watcher.error = error));
+  return watcher;
+}
+
+// Wait for the watcher to handle the deletes made until now
+function waitForResumeToken(watcher) {
+  return new Promise((resolve, reject) => {
+    watcher.once('resumeToken', resolve);
+    watcher.once('error', reject);
+  });
+}
+
+describe('References - Watch', async function () {
+  // House - 1
+  const HouseSchema = new mongoose.Schema({});
+  referencesIntegrityChecker('HouseWatch', HouseSchema);
+  const HouseModel = mongoose.model('HouseWatch', HouseSchema);
+
+  // Room - N (deleted on cascade)
+  const RoomSchema = new mongoose.Schema({
+    house: { type: mongoose.Schema.Types.ObjectId, ref: 'HouseWatch', required: true, cascade: true },
+  });
+  referencesIntegrityChecker('RoomWatch', RoomSchema);
+  const RoomModel = mongoose.model('RoomWatch', RoomSchema);
+
+  // Garden - N (set null)
+  const GardenSchema = new mongoose.Schema({
+    house: { type: mongoose.Schema.Types.ObjectId, ref: 'HouseWatch' },
+  });
+  referencesIntegrityChecker('GardenWatch', GardenSchema);
+  const GardenModel = mongoose.model('GardenWatch', GardenSchema);
+
+  // Owner - N (blocking)
+  const OwnerSchema = new mongoose.Schema({
+    house: { type: mongoose.Schema.Types.ObjectId, ref: 'HouseWatch', required: true },
+  });
+  referencesIntegrityChecker('OwnerWatch', OwnerSchema);
+  const OwnerModel = mongoose.model('OwnerWatch', OwnerSchema);
+
+  let watcher;
+
+  before(async function () {
+    if (mongoose.connection.readyState !== 1)
+      await new Promise((resolve) => mongoose.connection.once('open', resolve));
+
+    const info = await mongoose.connection.db.admin().command({ isMaster: 1 });
+    if (!info.setName) this.skip();
+
+    await OwnerModel.deleteMany({});
+    await GardenModel.deleteMany({});
+    await RoomModel.deleteMany({});
+    await HouseModel.deleteMany({});
+  });
+
+  afterEach(async function () {
+    if (!watcher) return;
+
+    await watcher.close();
+    const { error } = watcher;
+    watcher = null;
+    if (error) throw error;
+  });
+
+  it('delete outside mongoose ---> should cascade and set null the children', async function () {
+    const parent = await new HouseModel().save();
+    const room = await new RoomModel({ house: parent._id }).save();
+    const garden = await new GardenModel({ house: parent._id }).save();
+
+    watcher = await watch();
+    const handled = waitForResumeToken(watcher);
+    await HouseModel.collection.deleteOne({ _id: parent._id });
+    await handled;
+
+    assert(!(await RoomModel.findById(room._id)), 'child should be deleted');
+    assert.strictEqual((await GardenModel.findById(garden._id)).house, null, "child's ref should be set null");
+  });
+
+  it('blocked delete outside mongoose ---> should report a violation and apply the other policies', async function () {
+    const parent = await new HouseModel().save();
+    const owner = await new OwnerModel({ house: parent._id }).save();
+    const garden = await new GardenModel({ house: parent._id }).save();
+
+    watcher = await watch();
+    const violations = [];
+    watcher.on('violation', (violation) => violations.push(violation));
+
+    const handled = waitForResumeToken(watcher);
+    await HouseModel.collection.deleteOne({ _id: parent._id });
+    await handled;
+
+    assert.strictEqual(violations.length, 1, 'a violation should be reported');
+    assert(violations[0] instanceof RefConstraintError);
+    assert(violations[0].options.whoIsBlocking.equals(owner._id));
+    assert.strictEqual((await GardenModel.findById(garden._id)).house, null, "child's ref should be set null");
+  });
+
+  it('resumeAfter ---> should handle the deletes made while not watching', async function () {
+    const parents = [await new HouseModel().save(), await new HouseModel().save()];
+    const gardens = [
+      await new GardenModel({ house: parents[0]._id }).save(),
+      await new GardenModel({ house: parents[1]._id }).save(),
+    ];
+
+    watcher = await watch();
+    let handled = waitForResumeToken(watcher);
+    await HouseModel.collection.deleteOne({ _id: parents[0]._id });
+    const resumeAfter = await handled;
+    await watcher.close();
+
+    // Deleted while not watching
+    await HouseModel.collection.deleteOne({ _id: parents[1]._id });
+    assert((await GardenModel.findById(gardens[1]._id)).house, "child's ref should still be there");
+
+    watcher = await watch({ resumeAfter });
+    handled = waitForResumeToken(watcher);
+    await handled;
+
+    assert.strictEqual((await GardenModel.findById(gardens[1]._id)).house, null, "child's ref should be set null");
+  });
+});